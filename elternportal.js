@@ -1,9 +1,14 @@
 const contentDisposition = require('content-disposition');
+const fs = require('fs-extra');
 const https = require('https');
 const md5 = require('md5');
-const { simpleParser } = require('mailparser');
+const path = require('path');
 
 const em = require('./email.js');
+const ical = require('./ical.js');
+const ob = require('./outbound.js');
+const st = require('./state.js');
+const vcard = require('./vcard.js');
 
 // ---------- Shared state (initialized in main.js) ----------
 
@@ -12,21 +17,31 @@ const em = require('./email.js');
 // global.INBOUND (see main.js)
 // global.NOW (see main.js)
 
-// ---------- External constants ----------
+// ---------- Internal constants ----------
 
-const EMPTY_STATE = {
-  threads: {}, // key: thread ID; value: { key: msg index; value: 1 }
-  announcements: {}, // key: announcement ID; value: 1
-  inquiries: {}, // key: hash from message subject, date and content; value: 1
+const INITIAL_STATE = {
+  // Values of the emailed items below are the time they were emailed (epoch millis), or 1 if they
+  // were emailed before we recorded the time. Cf. the "resend" admin command in main.js.
+  threads: {}, // key: thread ID; value: { key: msg index; value: time emailed }
+  teachers: {}, // key: teacher ID; value: { lastName, firstName, subject }
+  teachersReadTs: 0, // when the above was last read (epoch millis)
+  announcements: {}, // key: announcement ID; value: time emailed
+  inquiries: {}, // key: hash from message subject, date and content; value: time emailed
+  // key: hash from subject and text of an inquiry we posted; value: { messageId, ts } with the
+  // Message-ID of the email it was posted from (to thread the copy of the inquiry onto that email)
+  // and the time it was posted (epoch millis, for pruning)
+  inquiryReferences: {},
   events: [], // list of event objects (cf. readEventsInternal())
+  timetable: {}, // key: day; value: { key: period; value: cell text }
+  reminders: {}, // key: event UID and days in advance; value: event timestamp (for pruning)
+  calendar: [], // all future events for the calendar feed, cf. ical.js (plus "ts" for pruning)
+  substitutions: {}, // key: date (dd.mm.yyyy); value: list of rows (cf. SUBSTITUTION_FIELDS)
   hashes: {
-    substitutions: {}, // key: hash for one day's plan, value: 1
     notices: {} // key: notice hash; value: 1 (or 0 if email failed)
-  }
+  },
+  lastSuccessfulRun: 0 // epoch millis
 };
 
-// ---------- Internal constants ----------
-
 // Docs: https://github.com/InteractionDesignFoundation/add-event-to-calendar-docs/blob/main/services/google.md
 const GCAL_URL = 'https://calendar.google.com/calendar/r/eventedit?';
 
@@ -37,25 +52,57 @@ const TR_AND_STATUS = {
   '-1': '<tr class="removed"><td>--</td>', // removed (a rare but relevant case)
   '0': '<tr><td></td>',  // previously notified
   '1': '<tr class="new"><td>*</td>', // added
+  '2': '<tr class="moved"><td>&rarr;</td>', // moved (or otherwise changed), see findMovedEvents()
+};
+
+// Fields of a row in the substitution plan, in display order, and their column headings.
+const SUBSTITUTION_FIELDS = ['period', 'class', 'subject', 'teacher', 'room', 'note'];
+const SUBSTITUTION_COLUMNS = {
+  period: 'Stunde',
+  class: 'Klasse',
+  subject: 'Fach',
+  teacher: 'Lehrer',
+  room: 'Raum',
+  note: 'Hinweis'
+};
+// Patterns to map the portal's column names to the above fields. Schools may differ here.
+const SUBSTITUTION_COLUMN_PATTERNS = {
+  period: /stunde|std/i,
+  class: /klasse/i,
+  subject: /fach/i,
+  teacher: /lehr|vertret/i,
+  room: /raum/i,
+  note: /bemerk|hinweis|info|text/i
 };
 
-// ---------- Internal state ----------
+// Status of substitution plan rows and their (partial) HTML representation.
+const SUBSTITUTION_TR = {
+  '-1': '<tr class="removed">', // removed
+  '0': '<tr>', // previously notified
+  '1': '<tr class="new">' // added
+};
 
-//  Outbound messages are intended for teachers. They are received asynchronously via IMAP and
-//  posted on the portal. Each has a "prep" handler that must complete successfully before actually
-//  sending. This handler will mark the original email that triggered this message as answered in
-//  IMAP to avoid duplicate messages to teachers in case of errors (e.g. when the message to the
-//  teacher is sent, but the email in the IMAP inbox cannot be marked processed). Using an IMAP flag
-//  instead of the status file has the downside that it cannot express partial success, but that is
-//  a rare case anyway. On the upside the IMAP flag will persist across reinstalls or deletion of
-//  the status file.
-let OUTBOUND = [];
+const WEEKDAYS = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
 
-// ---------- Utilities ----------
+// Boundaries at which splitMessage() prefers to split, in order of preference, with the offset from
+// the match at which to split.
+const SPLIT_PATTERNS = [
+  [/\n\s*\n/g, 0], // paragraph
+  [/[.!?:](?=\s)/g, 1], // sentence (the punctuation stays in the first part)
+  [/\s/g, 0] // word
+];
 
-function haveOutbound() {
-  return !!OUTBOUND.length;
-}
+// A removed and a new event are considered the same event, moved to a different date (or otherwise
+// changed), if their descriptions are at least this similar (0..1) ...
+const MOVED_EVENT_MIN_SIMILARITY = 0.8;
+// ... and their dates are at most this many days apart.
+const MOVED_EVENT_MAX_DAYS = 14;
+
+// References to inquiries we posted are dropped after this many days, e.g. if the copy never shows
+// up on the website because the inquiry was deleted.
+const INQUIRY_REFERENCE_MAX_DAYS = 30;
+
+// ---------- Utilities ----------
 
 // Downloads from file.url, setting file.filename and file.content.
 async function downloadFile(file, options) {
@@ -78,27 +125,58 @@ async function downloadFile(file, options) {
   });
 }
 
-function sleepSeconds(seconds) {
-  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+/**
+ * Splits a message to fit the portal's size limit. In case of multiple parts we prefix them with
+ * "[n/N] ". Assuming that n and N have at most 2 characters, we simply substract 8 characters for
+ * every such prefix. Parts end at a paragraph, sentence or word boundary where possible.
+ */
+function splitMessage(text, sizeLimit) {
+  if (text.length <= sizeLimit) {
+    return [text];
+  }
+  const capacity = sizeLimit - 8;
+  const chunks = [];
+  let rest = text;
+  while (rest.length > capacity) {
+    const end = findSplitPosition(rest, capacity);
+    chunks.push(rest.substring(0, end).trimEnd());
+    rest = rest.substring(end).trimStart();
+  }
+  if (rest) {
+    chunks.push(rest);
+  }
+  return chunks.map((chunk, i) => `[${i + 1}/${chunks.length}] ${chunk}`);
+}
+
+/**
+ * Returns the position at which to split the text so that the first part has at most "capacity"
+ * characters. Prefers the end of a paragraph, then of a sentence, then of a word. To avoid tiny
+ * parts, this must be in the second half. Otherwise we split in the middle of a word.
+ */
+function findSplitPosition(text, capacity) {
+  // One more character, because whitespace just after the limit is a word boundary.
+  const head = text.substring(0, capacity + 1);
+  for (const [pattern, offset] of SPLIT_PATTERNS) {
+    const matches = [...head.matchAll(pattern)].filter(m => m.index + offset <= capacity);
+    const last = matches.length ? matches[matches.length - 1].index + offset : -1;
+    if (last >= capacity / 2) {
+      return last;
+    }
+  }
+  return capacity;
+}
+
+/** Key for state.inquiryReferences. Whitespace is normalized because the page may alter it. */
+function inquiryReferenceKey(subject, text) {
+  return md5(`${subject.trim()}\n${text.replace(/\s+/g, ' ').trim()}`);
 }
 
-// ---------- Login ----------
-
-// This function does the thing. The login thing. You know?
-async function loginElternPortal(page) {
-  await page.goto(CONFIG.elternportal.url);
-  await page.type('#inputEmail', CONFIG.elternportal.user);
-  await page.type('#password', CONFIG.elternportal.pass);
-  await Promise.all([
-    page.waitForNavigation(),
-    page.click('#password ~ button')
-  ]);
-  // When settings are present, we are logged in.
-  const success = await page.$$eval('a[href*="einstellungen"]', (a) => a.length) > 0;
-  if (!success) {
-    throw 'Login Eltern-Portal failed';
-  }
-  LOG.info('Login Eltern-Portal OK');
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sleepSeconds(seconds) {
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
 }
 
 // Called lazily to authenticate file requests (attachments).
@@ -111,179 +189,440 @@ async function getPhpSessionIdAsCookie(page) {
   return id[0].name + '=' + id[0].value;
 }
 
-// ---------- Announcements ----------
-
-/** Reads all announcements, but not possible attachments. */
-async function readAnnouncements(page) {
-  await page.goto(CONFIG.elternportal.url + '/aktuelles/elternbriefe');
-  const announcements = await page.$$eval(
-    'span.link_nachrichten, a.link_nachrichten',
-    (nodes) => nodes.map(
-      (n) => {
-        // Transform the date to a format that Date can parse.
-        const d = n.firstChild.nextSibling.nextSibling.textContent // it's a text node
-            .match(/(\d\d)\.(\d\d)\.(\d\d\d\d)[, ]+(\d\d:\d\d)/);
-        return {
-          // Use the ID also used for reading confirmation, because it should be stable.
-          id: n.attributes.onclick.textContent.match(/\((\d+)\)/)[1],
-          // Strip subject and date, which are in "n".
-          body: n.parentElement.innerText.substring(n.innerText.length).trim(),
-          subject: n.firstChild.nextSibling.textContent,
-          url: n.tagName === 'A' ? n.href : null,
-          // Date isn't serializable, so we need to use a string.
-          dateString: d[3] + '-' + d[2] + '-' + d[1] + ' ' + d[4]
-        };
-      }));
-  LOG.info('Found %d announcements', announcements.length);
-  return announcements;
+// ---------- Substitutions ----------
+
+/**
+ * Maps the cells of a substitution plan row to SUBSTITUTION_FIELDS, using the column names if
+ * available and the order of SUBSTITUTION_FIELDS otherwise. Unmapped cells are added to the note.
+ */
+function parseSubstitutionRow(columns, cells) {
+  const row = {};
+  SUBSTITUTION_FIELDS.forEach(f => row[f] = '');
+  const extra = [];
+  cells.forEach((text, i) => {
+    const field = columns.length
+        ? SUBSTITUTION_FIELDS.find(f => !row[f] && SUBSTITUTION_COLUMN_PATTERNS[f].test(columns[i]))
+        : SUBSTITUTION_FIELDS[i];
+    if (field) {
+      row[field] = text;
+    } else if (text) {
+      extra.push(text);
+    }
+  });
+  row.note = [row.note].concat(extra).filter(t => t).join(', ');
+  return row;
+}
+
+function containsRow(rows, row) {
+  return rows.some(r => SUBSTITUTION_FIELDS.every(f => r[f] === row[f]));
 }
 
+/** Returns a one line summary of a changed row, e.g. "Di 21.10.: 3. Std. M (5a) entfällt". */
+function substitutionSummary(day, row) {
+  const date = `${WEEKDAYS[new Date(day.ts).getDay()]} ${day.date.substring(0, 6)}`;
+  const period = row.period ? `${row.period.replace(/\.$/, '')}. Std. ` : '';
+  const what = [row.subject, row.class ? `(${row.class})` : ''].filter(t => t).join(' ');
+  const details = row.note
+      || [row.teacher ? `Vertretung ${row.teacher}` : '', row.room ? `Raum ${row.room}` : '']
+          .filter(t => t).join(', ');
+  return `${row.status == -1 ? 'Nicht mehr im Plan: ' : ''}${date}: ${period}${what}${
+      details ? ` ${details}` : ''}`;
+}
+
+// ---------- Notice board ----------
+
 /**
- * Reads attachments for all announcements not included in processedAnnouncements. Attachments are
- * stored in memory.
+ * Returns the hash of a notice board entry. Attachments are part of the hash via their link and
+ * name, so a replaced file counts as an update. Entries without attachments keep the hash used
+ * before attachments were supported.
  */
-async function readAnnouncementsAttachments(page, announcements, processedAnnouncements) {
-  let options = null;
-  let wait = false;
-  for (const a of announcements.filter(a => a.url && !(a.id in processedAnnouncements))) {
-    options ||= {headers: {'Cookie': await getPhpSessionIdAsCookie(page)}};
-    if (wait) {
-      await sleepSeconds(CONFIG.elternportal.fileDownloadWaitSeconds);
-    }
-    await downloadFile(a, options);
-    wait = true;
-    LOG.info('Read attachment (%d kb) for: %s', a.content.length >> 10, a.subject);
+function noticeBoardHash(entry) {
+  // To make sure hashes are stable we need to do some contortions.
+  const clean = s => s
+    .replace(/csrf=[a-f0-9]+/g, 'csrf=removed') // remove changing tokens
+    .replace(/\s+/g, ' ')                       // normalize spaces
+    .trim();
+  const attachmentsHash = entry.attachments.map(a => ` ${md5(`${clean(a.url)} ${a.name}`)}`)
+      .join('');
+  return md5(`${md5(entry.subject)} ${md5(clean(entry.content))}${attachmentsHash}`);
+}
+
+// ---------- Events ----------
+
+async function readEventsInternal(page) {
+  let events = await page.$$eval('table.table2 td:nth-last-child(3)', tds => tds.map(td => {
+    // Shortcuts.
+    const dateTD = td;
+    const timeTD = td.nextSibling;
+    const descriptionTD = td.nextSibling.nextSibling;
+    // Remove year because it's obvious, and use non-breaking hyphen to keep date and time on a
+    // single line for better readability.
+    const compactDateTime = s => s.replace(/( |20\d\d)/g, '').replace(/-/g, '&#8209;');
+
+    // Our school sometimes specifies invalid date ranges ("24.12.-23.12."). Logically, i.e. for
+    // sorting and identifying upcoming/past events, we only use the start (first) date and ignore
+    // the end date. Also, some events include a time of day while others don't. For those we assume
+    // 0:00:00 and include the event until the next day, so it doesn't vanish on the entire day. The
+    // Google Calendar link will include the dates (and times) verbatim, so that an invalid end date
+    // will have to be edited before the event is accepted by Google Calendar. If this happens
+    // frequently we should set the end date to the start date.
+
+    const d = td.textContent.match(/(\d\d)\.(\d\d)\.(\d\d\d\d)(.+(\d\d)\.(\d\d)\.(\d\d\d\d))?/);
+    // The date should always parse, otherwise we can't really handle the event.
+    if (!d) {
+      // Errors are handled in handleEventsWithErrors() because we're only in page context here.
+      return {date: dateTD.textContent, description: descriptionTD.textContent, error: true};
+    }
+    // Time of day may be absent.
+    const t = td.nextSibling.textContent.match(/(\d\d):(\d\d).+(\d\d):(\d\d)/);
+
+    return {
+      ts: new Date(d[3], d[2] - 1, d[1]).getTime(),
+      description: descriptionTD.innerText.replace(/\s+/g, ' ').trim(), // remove \n
+      date: `${compactDateTime(dateTD.textContent)}`,
+      time: `&nbsp;${compactDateTime(timeTD.textContent)}`,
+      descriptionHtml: `${descriptionTD.innerHTML}`,
+      // Used as request parameter "dates" for Google Calendar link and for comparison.
+      dates:    `${d[3]}${d[2]}${d[1]}${  t ? `T${t[1]}${t[2]}00` : ''}/${
+         d[4] ? `${d[7]}${d[6]}${d[5]}`
+              : `${d[3]}${d[2]}${d[1]}`}${t ? `T${t[3]}${t[4]}00` : ''}`
+    };
+  }));
+  return events;
+}
+
+function eventsMatch(a, b) {
+  return a.descriptionHtml === b.descriptionHtml
+      && a.description === b.description
+      && a.dates === b.dates;
+}
+
+function containsEvent(events, event) {
+  return events.find(e => eventsMatch(e, event));
+}
+
+/** Returns the similarity (0..1) of two strings as the Dice coefficient of their bigrams. */
+function similarity(a, b) {
+  const bigrams = s => {
+    s = s.toLowerCase().replace(/\s+/g, ' ').trim();
+    const result = new Map();
+    for (let i = 0; i < s.length - 1; ++i) {
+      const bigram = s.substring(i, i + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+  if (a === b) {
+    return 1;
   }
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  let total = 0;
+  let common = 0;
+  bigramsA.forEach(n => total += n);
+  bigramsB.forEach((n, bigram) => {
+    total += n;
+    common += Math.min(n, bigramsA.get(bigram) || 0);
+  });
+  return total ? 2 * common / total : 0;
 }
 
-function buildEmailsForAnnouncements(page, announcements, processedAnnouncements) {
-  announcements
-      .filter(a => !(a.id in processedAnnouncements))
-      // Send oldest announcements first, i.e. maintain chronological order. This is not reliable
-      // because emails race, but GMail ignores the carefully forged message creation date (it shows
-      // the reception date instead), so it's the best we can do.
-      .reverse()
-      .map(a => {
-        const email = buildEmailAnnouncements(a.subject, {
-          text: a.body,
-          date: new Date(a.dateString)});
-        if (a.content) {
-          email.attachments = [
-            {
-              filename: a.filename,
-              content: a.content
-            }
-          ];
-        }
-        return {
-          email: email,
-          ok: async () => {
-            // Navigate to /elternbriefe to load the confirmation JS (function eb_bestaetigung()).
-            if (!page.url().endsWith('/aktuelles/elternbriefe')) {
-              await page.goto(CONFIG.elternportal.url + '/aktuelles/elternbriefe');
-            }
-            await page.evaluate((id) => { eb_bestaetigung(id); }, a.id);
-            processedAnnouncements[a.id] = 1;
-          }
-        };
-      }).forEach(e => INBOUND.push(e));
+/**
+ * Pairs new and removed events that are likely the same event, moved to a different date (or with
+ * an edited description). Returns the new events of all pairs, with status 2 and the removed
+ * event in "previous". Pairs are chosen greedily, most similar description and closest date first.
+ */
+function findMovedEvents(newEvents, removedEvents) {
+  const candidates = [];
+  for (const n of newEvents) {
+    for (const r of removedEvents) {
+      const days = Math.abs(n.ts - r.ts) / (24 * 60 * 60 * 1000);
+      const score = similarity(n.description, r.description);
+      if (score >= MOVED_EVENT_MIN_SIMILARITY && days <= MOVED_EVENT_MAX_DAYS) {
+        candidates.push({n: n, r: r, score: score, days: days});
+      }
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score || a.days - b.days);
+  const moved = [];
+  for (const c of candidates) {
+    if (!moved.some(m => m.previous === c.r || eventsMatch(m, c.n))) {
+      moved.push({ ...c.n, status: 2, previous: c.r });
+    }
+  }
+  return moved;
+}
+
+function reportAndRemoveEventsWithErrors(events) {
+  let errors = '';
+  events.filter(e => e.error).forEach(error => {
+    LOG.error(`Failed to parse date "${error.date}" for event "${error.description}"`);
+    if (!errors) {
+      errors = 'Folgende Termine konnten nicht verarbeitet werden:\n\n';
+    }
+    errors += `- Termin "${error.description}" mit Datum "${error.date}"\n`;
+  });
+  if (errors) {
+    INBOUND.push({
+      email: em.buildEmailAdmin('Termine konnten nicht verarbeitet werden', {text: errors}),
+      ok: () => {}
+    });
+  }
+  return events.filter(e => !e.error);
 }
 
-// ---------- Threads ----------
-
-// Reads metadata for all threads.
-async function readThreadsMeta(page, lastSuccessfulRun) {
-  await page.goto(`${CONFIG.elternportal.url}/meldungen/kommunikation_fachlehrer/`);
-  const threads = (await page.$$eval(
-      'div.card a[href*="/meldungen/kommunikation_fachlehrer/"]',
-      anchors => anchors.map(
-        a => {
-          // We use just the date to find teachers with ~recent threads. This was originally because
-          // time here used to be in 12h format but missing any am/pm indicator (sic). Although it
-          // now seems to be 24h format we still use just the date: It's more robust and gives
-          // virtually the same optimization.
-          const d = a.parentElement.innerText.match(/(\d\d)\.(\d\d).(\d\d\d\d)/);
-          const id = a.href.match(/.*\/(\d+)$/)[1];
-          const teacherId = a.href.match(/.*\/(\d+)\/\d+$/)[1];
-          // This may be specific to our school: EP displays a teacher's name in many different
-          // variations. We can easily get one here, but it is dirtier than others: It is in "Last,
-          // First" order, and some roles (e.g. director) are added after the name. It can also have
-          // newlines and for some reason often has a trailing comma. Later on we can get a cleaner
-          // version, so we use this just for logging.
-          const name = a.parentElement.parentElement.parentElement.parentElement.parentElement.parentElement.querySelector('div.header').innerText
-              .replace(/\n|(,$)/g, ' ').trim();
+// ---------- Eltern-Portal job ----------
+
+class ElternPortal {
+  #config;
+  #state;
+  #page;
+
+  constructor(config, state, page) {
+    this.#config = config;
+    this.#state = state;
+    this.#page = page;
+    st.fillState(this.#state, INITIAL_STATE);
+  }
+
+  async process() {
+    if (this.#config.timeoutSeconds) {
+      this.#page.setDefaultTimeout(this.#config.timeoutSeconds * 1000);
+    }
+    await this.login();
+
+    // Send messages to teachers. We will later retrieve those messages when scraping threads with
+    // teachers. That is intentional because presumably the second parent wants a copy of the
+    // message.
+    await this.sendMessagesToTeachers();
+    await this.submitSickNotes();
+    await this.submitInquiries();
+
+    // Section "Aktuelles".
+    const announcements = await this.readAnnouncements(); // Always reads all.
+    await this.readAnnouncementsAttachments(announcements);
+    this.buildEmailsForAnnouncements(announcements);
+
+    // Section "Kommunikation Eltern/Klassenleitung".
+    const inquiries = await this.readInquiries();
+    this.buildEmailsForInquiries(inquiries);
+
+    // Section "Kommunikation Eltern/Fachlehrer".
+    const threads = await this.readThreadsMeta();
+    await this.readThreadsContents(threads);
+    await this.readThreadsAttachments(threads);
+    this.buildEmailsForThreads(threads);
+    await this.updateAddressBook();
+
+    // Section "Vertretungsplan"
+    await this.readSubstitutions();
+
+    // Section "Stundenplan"
+    await this.readTimetable();
+
+    // Section "Schwarzes Brett"
+    await this.readNoticeBoard();
+
+    // Section "Schulaufgaben / Weitere Termine"
+    await this.readEvents();
+
+    this.#state.lastSuccessfulRun = NOW || this.#state.lastSuccessfulRun;
+  }
+
+  // ---------- Login ----------
+
+  // This function does the thing. The login thing. You know?
+  async login() {
+    await this.#page.goto(this.#config.url);
+    await this.#page.type('#inputEmail', this.#config.user);
+    await this.#page.type('#password', this.#config.pass);
+    await Promise.all([
+      this.#page.waitForNavigation(),
+      this.#page.click('#password ~ button')
+    ]);
+    // When settings are present, we are logged in.
+    const success = await this.#page.$$eval('a[href*="einstellungen"]', (a) => a.length) > 0;
+    if (!success) {
+      throw 'Login Eltern-Portal failed';
+    }
+    LOG.info('Login Eltern-Portal OK');
+  }
+
+  // ---------- Announcements ----------
+
+  /** Reads all announcements, but not possible attachments. */
+  async readAnnouncements() {
+    await this.#page.goto(this.#config.url + '/aktuelles/elternbriefe');
+    const announcements = await this.#page.$$eval(
+      'span.link_nachrichten, a.link_nachrichten',
+      (nodes) => nodes.map(
+        (n) => {
+          // Transform the date to a format that Date can parse.
+          const d = n.firstChild.nextSibling.nextSibling.textContent // it's a text node
+              .match(/(\d\d)\.(\d\d)\.(\d\d\d\d)[, ]+(\d\d:\d\d)/);
           return {
-            id: id,
-            teacherId: teacherId,
-            url: a.href,
-            subject: a.textContent,
-            teacherName: name,
-            // We add two days to the date to account for a) lacking time of day, b) timezones, and
-            // c) clock skew. There is no need to cut it close, the performance gain would not
-            // outweigh complexity.
-            latest: new Date(d[3], d[2] - 1, parseInt(d[1]) + 2).getTime()
+            // Use the ID also used for reading confirmation, because it should be stable.
+            id: n.attributes.onclick.textContent.match(/\((\d+)\)/)[1],
+            // Strip subject and date, which are in "n".
+            body: n.parentElement.innerText.substring(n.innerText.length).trim(),
+            subject: n.firstChild.nextSibling.textContent,
+            url: n.tagName === 'A' ? n.href : null,
+            // Date isn't serializable, so we need to use a string.
+            dateString: d[3] + '-' + d[2] + '-' + d[1] + ' ' + d[4]
           };
-        })))
-      .filter(a => a.latest >= lastSuccessfulRun);
-  LOG.info(`Found ${threads.length} recent threads with teachers`);
-  return threads;
-}
+        }));
+    LOG.info('Found %d announcements', announcements.length);
+    return announcements;
+  }
+
+  /**
+   * Reads attachments for all announcements not yet processed. Attachments are stored in memory.
+   */
+  async readAnnouncementsAttachments(announcements) {
+    const processedAnnouncements = this.#state.announcements;
+    let options = null;
+    let wait = false;
+    for (const a of announcements.filter(a => a.url && !(a.id in processedAnnouncements))) {
+      options ||= {headers: {'Cookie': await getPhpSessionIdAsCookie(this.#page)}};
+      if (wait) {
+        await sleepSeconds(this.#config.fileDownloadWaitSeconds);
+      }
+      await downloadFile(a, options);
+      wait = true;
+      LOG.info('Read attachment (%d kb) for: %s', a.content.length >> 10, a.subject);
+    }
+  }
 
-/** Populates threads with contents, i.e. individual messages. */
-async function readThreadsContents(page, threads) {
-  // sort threads by id
-  threads.sort((t1, t2) => t1.id - t2.id);
-  for (const thread of threads) {
-    await page.goto(thread.url + '?load_all=1');
-
-    thread.messages = await page.$eval('div#message-thread-grid', (grid) => {
-        const allRows = Array.from(grid.children);
-        return allRows.map((row, i) => {
-          const rightCol = row.querySelector('.twelve.wide.column');
-          const segment = rightCol?.querySelector('.ui.segment');
-
-          // a message row always has a segment (right)
-          let attachments = [];
-          if (segment) {
-              const nextRow = allRows[i + 1];
-              const nextRightCol = nextRow?.querySelector('.twelve.wide.column');
-
-              // get attachments from NEXT row if that has no new message segment
-              if (nextRightCol && !nextRightCol.querySelector('.ui.segment')) {
-                attachments = Array.from(nextRightCol.querySelectorAll('a[href*="get_file"]'))
-                  .map(a => ({ url: a.href }));
+  buildEmailsForAnnouncements(announcements) {
+    const processedAnnouncements = this.#state.announcements;
+    announcements
+        .filter(a => !(a.id in processedAnnouncements))
+        // Send oldest announcements first, i.e. maintain chronological order. This is not reliable
+        // because emails race, but GMail ignores the carefully forged message creation date (it
+        // shows the reception date instead), so it's the best we can do.
+        .reverse()
+        .map(a => {
+          const email = this.buildEmailAnnouncements(a.subject, {
+            text: a.body,
+            date: new Date(a.dateString)});
+          if (a.content) {
+            email.attachments = [
+              {
+                filename: a.filename,
+                content: a.content
               }
+            ];
           }
-
           return {
-            subject: rightCol?.querySelector('strong')?.textContent,
-            author: row.querySelector('.four.wide.column strong span')?.textContent.trim(),
-            body: segment?.textContent,
-            attachments: attachments
+            email: email,
+            ok: async () => {
+              // Navigate to /elternbriefe to load the confirmation JS (function eb_bestaetigung()).
+              if (!this.#page.url().endsWith('/aktuelles/elternbriefe')) {
+                await this.#page.goto(this.#config.url + '/aktuelles/elternbriefe');
+              }
+              await this.#page.evaluate((id) => { eb_bestaetigung(id); }, a.id);
+              processedAnnouncements[a.id] = NOW;
+            }
           };
-        });
-    });
+        }).forEach(e => INBOUND.push(e));
+  }
+
+  // ---------- Threads ----------
+
+  // Reads metadata for all threads.
+  async readThreadsMeta() {
+    await this.#page.goto(`${this.#config.url}/meldungen/kommunikation_fachlehrer/`);
+    const threads = (await this.#page.$$eval(
+        'div.card a[href*="/meldungen/kommunikation_fachlehrer/"]',
+        anchors => anchors.map(
+          a => {
+            // We use just the date to find teachers with ~recent threads. This was originally
+            // because time here used to be in 12h format but missing any am/pm indicator (sic).
+            // Although it now seems to be 24h format we still use just the date: It's more robust
+            // and gives virtually the same optimization.
+            const d = a.parentElement.innerText.match(/(\d\d)\.(\d\d).(\d\d\d\d)/);
+            const id = a.href.match(/.*\/(\d+)$/)[1];
+            const teacherId = a.href.match(/.*\/(\d+)\/\d+$/)[1];
+            // This may be specific to our school: EP displays a teacher's name in many different
+            // variations. We can easily get one here, but it is dirtier than others: It is in
+            // "Last, First" order, and some roles (e.g. director) are added after the name. It can
+            // also have newlines and for some reason often has a trailing comma. Later on we can
+            // get a cleaner version, so we use this just for logging.
+            const name = a.parentElement.parentElement.parentElement.parentElement.parentElement.parentElement.querySelector('div.header').innerText
+                .replace(/\n|(,$)/g, ' ').trim();
+            return {
+              id: id,
+              teacherId: teacherId,
+              url: a.href,
+              subject: a.textContent,
+              teacherName: name,
+              // We add two days to the date to account for a) lacking time of day, b) timezones,
+              // and c) clock skew. There is no need to cut it close, the performance gain would not
+              // outweigh complexity.
+              latest: new Date(d[3], d[2] - 1, parseInt(d[1]) + 2).getTime()
+            };
+          })))
+        .filter(a => a.latest >= this.#state.lastSuccessfulRun);
+    LOG.info(`Found ${threads.length} recent threads with teachers`);
+    return threads;
+  }
+
+  /** Populates threads with contents, i.e. individual messages. */
+  async readThreadsContents(threads) {
+    // sort threads by id
+    threads.sort((t1, t2) => t1.id - t2.id);
+    for (const thread of threads) {
+      await this.#page.goto(thread.url + '?load_all=1');
+
+      thread.messages = await this.#page.$eval('div#message-thread-grid', (grid) => {
+          const allRows = Array.from(grid.children);
+          return allRows.map((row, i) => {
+            const rightCol = row.querySelector('.twelve.wide.column');
+            const segment = rightCol?.querySelector('.ui.segment');
+
+            // a message row always has a segment (right)
+            let attachments = [];
+            if (segment) {
+                const nextRow = allRows[i + 1];
+                const nextRightCol = nextRow?.querySelector('.twelve.wide.column');
+
+                // get attachments from NEXT row if that has no new message segment
+                if (nextRightCol && !nextRightCol.querySelector('.ui.segment')) {
+                  attachments = Array.from(nextRightCol.querySelectorAll('a[href*="get_file"]'))
+                    .map(a => ({ url: a.href }));
+                }
+            }
+
+            return {
+              subject: rightCol?.querySelector('strong')?.textContent,
+              author: row.querySelector('.four.wide.column strong span')?.textContent.trim(),
+              body: segment?.textContent,
+              attachments: attachments
+            };
+          });
+      });
 
-    thread.subject = thread.messages[0]?.subject
-    thread.messages = thread.messages.filter(message => message.body);
-    LOG.debug(
-      'Read %d recent messages with %s (#%d) in "%s" (#%d)',
-      thread.messages.length, thread.teacherName, thread.teacherId, thread.subject, thread.id
-    );
+      thread.subject = thread.messages[0]?.subject
+      thread.messages = thread.messages.filter(message => message.body);
+      LOG.debug(
+        'Read %d recent messages with %s (#%d) in "%s" (#%d)',
+        thread.messages.length, thread.teacherName, thread.teacherId, thread.subject, thread.id
+      );
 
+    }
   }
-}
 
-async function readThreadsAttachments(page, threads, processedThreads) {
-  let options = null;
-  let wait = false;
+  async readThreadsAttachments(threads) {
+    const processedThreads = this.#state.threads;
+    let options = null;
+    let wait = false;
     for (const thread of threads) {
       for (let i = 0; i < thread.messages.length; ++i) {
         if (!(thread.id in processedThreads) || !(i in processedThreads[thread.id])) {
           for (const file of thread.messages[i].attachments) {
-            options ||= { headers: { 'Cookie': await getPhpSessionIdAsCookie(page) } };
+            options ||= { headers: { 'Cookie': await getPhpSessionIdAsCookie(this.#page) } };
             if (wait) {
-              await sleepSeconds(CONFIG.elternportal.fileDownloadWaitSeconds);
+              await sleepSeconds(this.#config.fileDownloadWaitSeconds);
             }
             await downloadFile(file, options);
             wait = true;
@@ -293,9 +632,10 @@ async function readThreadsAttachments(page, threads, processedThreads) {
         }
       }
     }
-}
+  }
 
-function buildEmailsForThreads(threads, processedThreads) {
+  buildEmailsForThreads(threads) {
+    const processedThreads = this.#state.threads;
     for (const thread of threads) {
       if (!(thread.id in processedThreads)) {
         processedThreads[thread.id] = {};
@@ -304,687 +644,1063 @@ function buildEmailsForThreads(threads, processedThreads) {
       for (let i = 0; i < thread.messages.length; ++i) {
         if (!(i in processedThreads[thread.id])) {
           const msg = thread.messages[i];
-          // The thread ID seems to be globally unique. Including the teacher ID simplifies posting
-          // replies, because the mail client will put this ID in the In-Reply-To header.
-          const messageIdBase = `thread-${thread.teacherId}-${thread.id}-`;
-          const email = buildEmailThreads(msg.author, thread.subject, {
+          // The thread ID seems to be unique within the portal. The account keeps it unique across
+          // schools. Including the account and the teacher ID simplifies posting replies, because
+          // the mail client will put this ID in the In-Reply-To header.
+          const messageIdBase =
+              `thread-${ob.elternPortalAccount(this.#config)}-${thread.teacherId}-${thread.id}-`;
+          const email = this.buildEmailThreads(msg.author, thread.subject, {
             messageId: em.buildMessageId(messageIdBase + i),
             text: msg.body
           });
           email.attachments = msg.attachments.map(a => {
             return { filename: a.filename, content: a.content };
           })
+          if (CONFIG.options.incomingEmail.forwardingAddress) {
+            // We always put the teacher ID here, so the user can also reply to their own
+            // messages. The forwarding tag (if any) identifies this job.
+            const address = ob.buildForwardingAddress(this.#config, thread.teacherId);
+            email.replyTo = `"${thread.teacherName}" <${address}>`;
+            email.subject = ob.buildSubjectTag(this.#config, thread.teacherId) + email.subject;
+          }
           if (i > 0) {
             email.references = [em.buildMessageId(messageIdBase + (i - 1))];
             email.subject = 'Re: ' + email.subject; // subject is from website and never has 'Re:'
           }
-          if (CONFIG.options.incomingEmail.forwardingAddress) {
-            // We always put the teacher ID here, so the user can also reply to their own messages.
-            const address =
-              CONFIG.options.incomingEmail.forwardingAddress.replace('@', `+${thread.teacherId}@`);
-            email.replyTo = `"${thread.teacherName}" <${address}>`;
-          }
           INBOUND.push({
             // We don't forge the date here because time of day is not available. It would be
             // confusing to have all messages written on the same day show up at "00:00".
             email: email,
-            ok: () => { processedThreads[thread.id][i] = 1; }
+            ok: () => { processedThreads[thread.id][i] = NOW; }
           });
         }
       }
     }
-}
+  }
 
-// ---------- Inquiries ----------
-
-// Reads messages to/from "Klassenleitung". Returns an array of the below metadata.
-async function readInquiries(page) {
-  // AFAICT inquiries always have either one or two messages; we rely on that below.
-  await page.goto(CONFIG.elternportal.url + '/meldungen/kommunikation');
-  const inquiries = Array.from(await page.$$eval(
-    'div.panel', (panels) => panels.map(p => {
-      // Message texts may be absent, making parsing a bit more complex.
-      const titleRaw = p.querySelector('h3.panel-title').innerText.trim();
-      const t = titleRaw.match(/(.*?)(?:\(Beantwortet\))?\s+(\d\d)\.(\d\d)\.(\d\d\d\d)/);
-      const request = { text: '', date: new Date(t[4], t[3] - 1, t[2]).getTime() };
-      const response = { text: '', date: null };
-      const nodes = p.querySelector('div.panel-body').childNodes;
-      for (const n of nodes) {
-        if (n.nodeName === '#text') {
-          if (!response.date) { // The response date span comes first.
-            request.text = n.textContent.trim();
-          } else {
-            response.text = n.textContent.trim();
-          }
-        } else if (n.nodeName === 'SPAN' && n.classList.contains('pull-right')) {
-          d = n.innerText.match(/(\d\d)\.(\d\d)\.(\d\d\d\d)/);
-          response.date = new Date(d[3], d[2] - 1, d[1]).getTime();
+  // ---------- Teachers ----------
+
+  /**
+   * Reads the teachers that can be messaged. Returns { key: teacher ID; value: { lastName,
+   * firstName, subject } }.
+   */
+  async readTeachers() {
+    await this.#page.goto(`${this.#config.url}/meldungen/kommunikation_fachlehrer/`);
+    return await this.#page.$$eval('a[href*="/meldungen/kommunikation_fachlehrer/"]', anchors => {
+      const teachers = {};
+      for (const a of anchors) {
+        // Contact links end in the teacher ID and name, e.g. ".../123/Doe_John". Links to threads
+        // end in two numeric IDs instead.
+        const m = a.href.match(/\/kommunikation_fachlehrer\/(\d+)\/([^/]*[^/\d][^/]*)$/);
+        if (!m) {
+          continue;
         }
+        const [lastName, ...firstNames] = decodeURIComponent(m[2]).split('_');
+        // Subjects are shown next to the name.
+        const row = a.closest('tr');
+        const subject = !row ? '' : Array.from(row.cells)
+            .filter(td => !td.contains(a))
+            .map(td => td.innerText.replace(/\s+/g, ' ').trim())
+            .filter(t => t)
+            .join(', ');
+        teachers[m[1]] = { lastName: lastName, firstName: firstNames.join(' '), subject: subject };
       }
-      let messages = [ request ];
-      if (response.date) {
-        messages.push(response);
-      }
+      return teachers;
+    });
+  }
+
+  /**
+   * Writes an address book (vCard) with the forwarding address of each teacher to the file
+   * specified in the addressBookFile option. If addressBookToAdmin is set, changes are also emailed
+   * to the admin. The list of teachers rarely changes, so we check only once a day.
+   */
+  async updateAddressBook() {
+    const file = this.#config.addressBookFile;
+    if (!file) {
+      return;
+    }
+    if (!CONFIG.options.incomingEmail.forwardingAddress) {
+      LOG.warn('Not creating address book because no forwardingAddress is set');
+      return;
+    }
+    if (NOW - this.#state.teachersReadTs < 24 * 60 * 60 * 1000 && fs.existsSync(file)) {
+      return;
+    }
+    const teachers = await this.readTeachers();
+    this.#state.teachersReadTs = NOW;
+    const changed = JSON.stringify(teachers) !== JSON.stringify(this.#state.teachers);
+    LOG.info(`Found ${Object.keys(teachers).length} teachers${changed ? ' (changed)' : ''}`);
+    if (!changed && fs.existsSync(file)) {
+      return;
+    }
+
+    const addressBook = vcard.buildAddressBook(Object.entries(teachers).map(([id, t]) => {
+      // Without subaddressing the contact needs a subject tag (see buildSubjectTag()).
+      const subjectTag = ob.buildSubjectTag(this.#config, id).trim();
       return {
-        subject: t[1].trim(),
-        messages: messages
+        uid: em.buildMessageId(`teacher-${md5(this.#config.url)}-${id}`),
+        lastName: t.lastName,
+        firstName: t.firstName,
+        email: ob.buildForwardingAddress(this.#config, id),
+        org: this.#config.tag,
+        note: [t.subject, subjectTag && `Betreff: ${subjectTag}`].filter(n => n).join(', ')
       };
-    })));
-  LOG.info(`Found ${inquiries.length} inquiries`);
-  // Order is reverse chronological, make it forward.
-  return inquiries.reverse();
-}
+    }));
+    fs.writeFileSync(file, addressBook);
+    LOG.info(`Wrote address book to ${file}`);
 
-function buildEmailsForInquiries(inquiries, state) {
-  let prunedHashes = {};
-  for (const inquiry of inquiries) {
-    let previousHash = null;
-    for (const [j, message] of Object.entries(inquiry.messages)) {
-      const hash = md5(`${inquiry.subject}\n${message.date}\n${message.text}`);
-      prunedHashes[hash] = 1;
-      if (!state.inquiries[hash]) {
-        const email = buildEmailThreads(
-            INQUIRY_AUTHOR[Math.min(j, 2)],
-            inquiry.subject,
-            {
-              messageId: em.buildMessageId(`inquiry-${hash}`),
-              text: message.text,
-              date: new Date(message.date)
-            });
-        if (previousHash) {
-          email.references = [em.buildMessageId(`inquiry-${previousHash}`)];
-        }
-        INBOUND.push({
-          email: email,
-          ok: () => { state.inquiries[hash] = 1; }
-        });
-      }
-      previousHash = hash;
+    if (!changed || !this.#config.addressBookToAdmin) {
+      this.#state.teachers = teachers;
+      return;
     }
+    INBOUND.push({
+      email: em.buildEmailAdmin(`Lehrer-Adressbuch ${this.#config.tag}`, {
+        text: `Die Liste der Lehrer hat sich geändert. Das aktuelle Adressbuch ist angehängt.`,
+        attachments: [{
+          filename: path.basename(file),
+          content: addressBook,
+          contentType: 'text/vcard; charset=utf-8'
+        }]
+      }),
+      ok: () => { this.#state.teachers = teachers; }
+    });
   }
-  state.inquiries = prunedHashes;
-}
 
-// ---------- Substitutions ----------
+  // ---------- Inquiries ----------
+
+  // Reads messages to/from "Klassenleitung". Returns an array of the below metadata.
+  async readInquiries() {
+    // AFAICT inquiries always have either one or two messages; we rely on that below.
+    await this.#page.goto(this.#config.url + '/meldungen/kommunikation');
+    const inquiries = Array.from(await this.#page.$$eval(
+      'div.panel', (panels) => panels.map(p => {
+        // Message texts may be absent, making parsing a bit more complex.
+        const titleRaw = p.querySelector('h3.panel-title').innerText.trim();
+        const t = titleRaw.match(/(.*?)(?:\(Beantwortet\))?\s+(\d\d)\.(\d\d)\.(\d\d\d\d)/);
+        const request = { text: '', date: new Date(t[4], t[3] - 1, t[2]).getTime() };
+        const response = { text: '', date: null };
+        const nodes = p.querySelector('div.panel-body').childNodes;
+        for (const n of nodes) {
+          if (n.nodeName === '#text') {
+            if (!response.date) { // The response date span comes first.
+              request.text = n.textContent.trim();
+            } else {
+              response.text = n.textContent.trim();
+            }
+          } else if (n.nodeName === 'SPAN' && n.classList.contains('pull-right')) {
+            d = n.innerText.match(/(\d\d)\.(\d\d)\.(\d\d\d\d)/);
+            response.date = new Date(d[3], d[2] - 1, d[1]).getTime();
+          }
+        }
+        let messages = [ request ];
+        if (response.date) {
+          messages.push(response);
+        }
+        return {
+          subject: t[1].trim(),
+          messages: messages
+        };
+      })));
+    LOG.info(`Found ${inquiries.length} inquiries`);
+    // Order is reverse chronological, make it forward.
+    return inquiries.reverse();
+  }
 
-async function readSubstitutions(page, previousHashes) {
-  await page.goto(CONFIG.elternportal.url + '/service/vertretungsplan');
-  // For our school most lines are duplicated, with explicitly altering CSS for the TR. Remove these
-  // duplicates.
-  await page.$$eval('div#asam_content div.main_center table.table tr', trs => trs.forEach(tr => {
-    if (tr.previousElementSibling && tr.previousElementSibling.innerHTML === tr.innerHTML) {
-      tr.parentElement.removeChild(tr);
+  buildEmailsForInquiries(inquiries) {
+    const state = this.#state;
+    const referenceCutoff = NOW - INQUIRY_REFERENCE_MAX_DAYS * 24 * 60 * 60 * 1000;
+    for (const [key, reference] of Object.entries(state.inquiryReferences)) {
+      if (!(reference.ts >= referenceCutoff)) {
+        delete state.inquiryReferences[key];
+      }
     }
-  }));
-  // We use a day granularity to handle the case where a day disappears because it's past.
-  const substitutions = await page.$$eval(
-      'div#asam_content div.main_center div.list.bold', // find headings
-      divs => divs.map(div => {
-        const m = div.innerText.match(/\b(\d\d?)\.(\d\d?)\.(\d\d(\d\d)?)\b/);
-        const table = div.nextElementSibling; // actual substitution table
-        if (!m || table.nodeName !== 'TABLE' || !table.classList.contains("table")) {
-          throw new Error('Unexpected substitution plan format');
+    const account = ob.elternPortalAccount(this.#config);
+    let prunedHashes = {};
+    for (const inquiry of inquiries) {
+      let previousHash = null;
+      for (const [j, message] of Object.entries(inquiry.messages)) {
+        const hash = md5(`${inquiry.subject}\n${message.date}\n${message.text}`);
+        if (state.inquiries[hash]) {
+          prunedHashes[hash] = state.inquiries[hash];
         }
-        // Expiration is beginning of next (+1) day (this works across months). We can't use
-        // global.NOW in page context.
-        const expired = Date.now() >= new Date(m[3], m[2] - 1, m[1] + 1).getTime();
-        // There is no value in sending an empty plan. ISTM our school has a lookahead of two days,
-        // so at midnight a new day appears. AFAICT that day is always empty, maybe because the
-        // secretary needs to approve the plan manually.
-        const empty = table.rows.length <= 1;
-        return expired || empty
-          ? null // filtered below
-          : { html: `${div.outerHTML}\n${table.outerHTML}\n` };
-      }).filter(s => s !== null));
-  let newHashes = {};
-  let haveUpdates = false;
-  substitutions.forEach(sub => {
-    const hash = md5(sub.html);
-    newHashes[hash] = 1;
-    sub.updated = !(hash in previousHashes.substitutions);
-    haveUpdates ||= sub.updated;
-  });
-  if (!haveUpdates) {
-    previousHashes.substitutions = newHashes;
-    return;
-  }
-  let contentHTML = // Start with the heading (school class etc.).
-    await page.$eval('div#asam_content h2', table => table.outerHTML);
-  substitutions.forEach(sub => { // Add all days (empty days were omitted above), marking updates.
-    const html = sub.updated ? `<span class="updated">*&nbsp;${sub.html}</span>` : sub.html;
-    contentHTML += html;
-  });
-  contentHTML += // Append last updated time. Only needed when there actually are updates.
-      await page.$eval('div#asam_content div.main_center > div:last-of-type', div => div.outerHTML);
-  const fullHTML = `<!DOCTYPE html><html><head><title>Vertretungsplan</title>
-      <style>
-        table, td { border: 1px solid; } 
-        img { display: none; }
-        span.updated div.list { font-weight: bold; display: inline; }
-      </style></head>
-      <body>${contentHTML}</body></html>`;
-  INBOUND.push({
-    email: buildEmailSubstitutions({html: fullHTML}),
-    ok: () => { previousHashes.substitutions = newHashes; }
-  });
-  LOG.info('Found substitution plan update');
-}
+        if (!state.inquiries[hash]) {
+          const email = this.buildEmailThreads(
+              INQUIRY_AUTHOR[Math.min(j, 2)],
+              inquiry.subject,
+              {
+                messageId: em.buildMessageId(`inquiry-${account}-${hash}`),
+                text: message.text,
+                date: new Date(message.date)
+              });
+          // Thread our own inquiries onto the email they were posted from.
+          const referenceKey = inquiryReferenceKey(inquiry.subject, message.text);
+          const reference = previousHash
+              ? em.buildMessageId(`inquiry-${account}-${previousHash}`)
+              : (state.inquiryReferences[referenceKey] || {}).messageId;
+          if (reference) {
+            email.references = [reference];
+          }
+          if (CONFIG.options.incomingEmail.forwardingAddress) {
+            // Replying opens a new inquiry.
+            const address = ob.buildForwardingAddress(this.#config, ob.INQUIRY_TAG);
+            email.replyTo = `"Klassenleitung" <${address}>`;
+            email.subject = ob.buildSubjectTag(this.#config, ob.INQUIRY_TAG) + email.subject;
+          }
+          INBOUND.push({
+            email: email,
+            ok: () => {
+              state.inquiries[hash] = NOW;
+              delete state.inquiryReferences[referenceKey];
+            }
+          });
+        }
+        previousHash = hash;
+      }
+    }
+    state.inquiries = prunedHashes;
+  }
 
-// ---------- Notice board ----------
+  // ---------- Substitutions ----------
+
+  /**
+   * Reads the substitution plan. Returns a list of days, each with the original heading, the date
+   * ("dd.mm.yyyy") and the parsed rows (cf. SUBSTITUTION_FIELDS). Past days are omitted.
+   */
+  async readSubstitutionsInternal() {
+    await this.#page.goto(this.#config.url + '/service/vertretungsplan');
+    // For our school most lines are duplicated, with explicitly altering CSS for the TR. Remove
+    // these duplicates.
+    await this.#page.$$eval('div#asam_content div.main_center table.table tr', trs => trs.forEach(tr => {
+      if (tr.previousElementSibling && tr.previousElementSibling.innerHTML === tr.innerHTML) {
+        tr.parentElement.removeChild(tr);
+      }
+    }));
+    // We use a day granularity to handle the case where a day disappears because it's past.
+    const days = await this.#page.$$eval(
+        'div#asam_content div.main_center div.list.bold', // find headings
+        divs => divs.map(div => {
+          const m = div.innerText.match(/\b(\d\d?)\.(\d\d?)\.(\d\d(\d\d)?)\b/);
+          const table = div.nextElementSibling; // actual substitution table
+          if (!m || table.nodeName !== 'TABLE' || !table.classList.contains("table")) {
+            throw new Error('Unexpected substitution plan format');
+          }
+          const year = m[3].length == 2 ? 2000 + parseInt(m[3]) : parseInt(m[3]);
+          // Expiration is beginning of next (+1) day (this works across months). We can't use
+          // global.NOW in page context.
+          const expired = Date.now() >= new Date(year, m[2] - 1, parseInt(m[1]) + 1).getTime();
+          if (expired) {
+            return null; // filtered below
+          }
+          const cellTexts = tr => Array.from(tr.cells)
+              .map(td => td.innerText.replace(/\s+/g, ' ').trim());
+          const rows = Array.from(table.rows);
+          // The first row holds the column names.
+          const hasHeader = rows.length && rows[0].querySelector('th');
+          return {
+            heading: div.innerText.trim(),
+            date: `${m[1].padStart(2, '0')}.${m[2].padStart(2, '0')}.${year}`,
+            ts: new Date(year, m[2] - 1, m[1]).getTime(),
+            columns: hasHeader ? cellTexts(rows[0]) : [],
+            cells: rows.slice(hasHeader ? 1 : 0).map(cellTexts).filter(c => c.some(t => t))
+          };
+        }).filter(s => s !== null));
+    for (const day of days) {
+      day.rows = day.cells.map(cells => parseSubstitutionRow(day.columns, cells));
+      delete day.cells;
+      delete day.columns;
+    }
+    return days;
+  }
 
-async function readNoticeBoard(page, previousHashes) {
-  await page.goto(`${CONFIG.elternportal.url}/aktuelles/schwarzes_brett`);
-  
-  const entries = await page.$$eval('div.well', (wells) => {
-    return wells.map(well => {
-      const h4 = well.querySelector('h4');
-      if (!h4) return null;
-
-      const subject = h4.innerHTML.trim();
-      const pElements = Array.from(well.querySelectorAll('p'));
-      
-      // ignore posting date
-      const content = pElements
-        .filter(p => !p.classList.contains('text-right'))
-        .map(p => p.outerHTML)
-        .join('\n');
+  /**
+   * Returns true if the row matches the substitutionFilter option, i.e. its class or subject
+   * contains any of the specified strings (case insensitive). An empty filter matches all rows.
+   */
+  matchesSubstitutionFilter(row) {
+    const filter = (this.#config.substitutionFilter || []).map(f => f.toLowerCase());
+    return !filter.length || filter.some(
+        f => row.class.toLowerCase().includes(f) || row.subject.toLowerCase().includes(f));
+  }
 
-      return { subject, content };
-    }).filter(e => e !== null);
-  });
+  async readSubstitutions() {
+    const days = await this.readSubstitutionsInternal();
+    // The state holds the rows we already notified, keyed by date. Rows that were added since are
+    // highlighted, rows that were removed are shown struck through.
+    const previous = this.#state.substitutions;
+    delete this.#state.hashes.substitutions; // Hashes of whole days were used before.
+    const current = {};
+    let numChanges = 0;
+    for (const day of days) {
+      day.rows = day.rows.filter(row => this.matchesSubstitutionFilter(row));
+      current[day.date] = day.rows;
+      const previousRows = previous[day.date] || [];
+      day.rows.forEach(row => row.status = containsRow(previousRows, row) ? 0 : 1);
+      day.rows = day.rows.concat(previousRows
+          .filter(row => !containsRow(day.rows, row))
+          .map(row => { return { ...row, status: -1 }; }));
+      numChanges += day.rows.filter(row => row.status).length;
+    }
+    LOG.info(`Found ${numChanges} substitution plan change(s)`);
+    if (!numChanges) {
+      this.#state.substitutions = current; // Past days may have been dropped.
+      return;
+    }
 
-  // TODO: Support attachments.
-  const subjects = entries.map(e => e.subject);
-  const contents = entries.map(e => e.content);
-
-  let newHashes = {};
-  for (let i = 0; i < subjects.length; ++i) {
-    const subject = subjects[i];
-    const content = contents[i];
-    // To make sure hashes are stable we need to do some contortions.
-    const cleanContent = content
-      .replace(/csrf=[a-f0-9]+/g, 'csrf=removed') // remove changing tokens
-      .replace(/\s+/g, ' ')                       // normalize spaces
-      .trim();
-    const hash = md5(`${md5(subject)} ${md5(cleanContent)}`);
-    if (previousHashes.notices[hash]) {
-      newHashes[hash] = 1; // indicate "done"
-      continue;
-    }
-    LOG.info('Found notice board message');
-    newHashes[hash] = 0; // indicate "not yet done"
+    const summary = days.flatMap(day => day.rows.filter(row => row.status).map(
+        row => substitutionSummary(day, row))).join('\n');
+    let contentHTML = // Start with the heading (school class etc.).
+      await this.#page.$eval('div#asam_content h2', h2 => h2.outerHTML);
+    contentHTML += `<p>${escapeHtml(summary).replace(/\n/g, '<br>')}</p>`;
+    // Add all days with rows, marking changes.
+    for (const day of days.filter(day => day.rows.length)) {
+      contentHTML += `<h3>${escapeHtml(day.heading)}</h3>\n<table>\n<tr>${
+          SUBSTITUTION_FIELDS.map(f => `<th>${SUBSTITUTION_COLUMNS[f]}</th>`).join('')}</tr>\n`;
+      for (const row of day.rows) {
+        contentHTML += `${SUBSTITUTION_TR[row.status]}${
+            SUBSTITUTION_FIELDS.map(f => `<td>${escapeHtml(row[f])}</td>`).join('')}</tr>\n`;
+      }
+      contentHTML += '</table>\n';
+    }
+    contentHTML += // Append last updated time. Only needed when there actually are updates.
+        await this.#page.$eval(
+            'div#asam_content div.main_center > div:last-of-type', div => div.outerHTML);
+    const fullHTML = `<!DOCTYPE html><html><head><title>Vertretungsplan</title>
+        <style>
+          table { border-collapse: collapse; }
+          td, th { border: 1px solid; padding: 0 4px; }
+          img { display: none; }
+          tr.new { font-weight: bold; }
+          tr.removed { text-decoration: line-through; }
+        </style></head>
+        <body>${contentHTML}</body></html>`;
     INBOUND.push({
-      email: buildEmailNotices(subject, {
-        html: `<!DOCTYPE html><html><head></head><body>${content}</body></html>`
-      }),
-      ok: () => { newHashes[hash] = 1; }
+      email: this.buildEmailSubstitutions({text: summary, html: fullHTML}),
+      ok: () => { this.#state.substitutions = current; }
     });
   }
-  // In the new object, existing hashes map to 1 while newly encountered ones map to 0. They are set
-  // to 1 in the OK handler.
-  previousHashes.notices = newHashes;
-}
-
-// ---------- Events ----------
-
-async function readEventsInternal(page) {
-  let events = await page.$$eval('table.table2 td:nth-last-child(3)', tds => tds.map(td => {
-    // Shortcuts.
-    const dateTD = td;
-    const timeTD = td.nextSibling;
-    const descriptionTD = td.nextSibling.nextSibling;
-    // Remove year because it's obvious, and use non-breaking hyphen to keep date and time on a
-    // single line for better readability.
-    const compactDateTime = s => s.replace(/( |20\d\d)/g, '').replace(/-/g, '&#8209;');
 
-    // Our school sometimes specifies invalid date ranges ("24.12.-23.12."). Logically, i.e. for
-    // sorting and identifying upcoming/past events, we only use the start (first) date and ignore
-    // the end date. Also, some events include a time of day while others don't. For those we assume
-    // 0:00:00 and include the event until the next day, so it doesn't vanish on the entire day. The
-    // Google Calendar link will include the dates (and times) verbatim, so that an invalid end date
-    // will have to be edited before the event is accepted by Google Calendar. If this happens
-    // frequently we should set the end date to the start date.
+  // ---------- Timetable ----------
+
+  /**
+   * Reads the timetable into a grid, i.e. { key: day; value: { key: period; value: cell text } }.
+   * Empty cells are omitted. Returns null if there is no timetable.
+   */
+  async readTimetableInternal() {
+    await this.#page.goto(`${this.#config.url}/service/stundenplan`);
+    return await this.#page.$$eval('div#asam_content table.table', tables => {
+      if (!tables.length) {
+        return null;
+      }
+      // Normalize whitespace per line, but keep lines apart (typically subject, teacher and room).
+      const cellText = td => td.innerText.split('\n').map(l => l.replace(/\s+/g, ' ').trim())
+          .filter(l => l).join(' / ');
+      const rows = Array.from(tables[0].rows);
+      // The first row holds the days, the first column holds the periods.
+      const days = Array.from(rows[0].cells).slice(1).map(cellText);
+      const grid = {};
+      days.forEach(day => grid[day] = {});
+      for (const row of rows.slice(1)) {
+        const period = cellText(row.cells[0]);
+        Array.from(row.cells).slice(1).forEach((td, i) => {
+          const text = cellText(td);
+          if (text && i < days.length) {
+            grid[days[i]][period] = text;
+          }
+        });
+      }
+      return grid;
+    });
+  }
 
-    const d = td.textContent.match(/(\d\d)\.(\d\d)\.(\d\d\d\d)(.+(\d\d)\.(\d\d)\.(\d\d\d\d))?/);
-    // The date should always parse, otherwise we can't really handle the event.
-    if (!d) {
-      // Errors are handled in handleEventsWithErrors() because we're only in page context here.
-      return {date: dateTD.textContent, description: descriptionTD.textContent, error: true};
+  async readTimetable() {
+    const timetable = await this.readTimetableInternal();
+    if (!timetable) {
+      LOG.info('Found no timetable');
+      return;
     }
-    // Time of day may be absent.
-    const t = td.nextSibling.textContent.match(/(\d\d):(\d\d).+(\d\d):(\d\d)/);
-
-    return {
-      ts: new Date(d[3], d[2] - 1, d[1]).getTime(),
-      description: descriptionTD.innerText.replace(/\s+/g, ' ').trim(), // remove \n
-      date: `${compactDateTime(dateTD.textContent)}`,
-      time: `&nbsp;${compactDateTime(timeTD.textContent)}`,
-      descriptionHtml: `${descriptionTD.innerHTML}`,
-      // Used as request parameter "dates" for Google Calendar link and for comparison.
-      dates:    `${d[3]}${d[2]}${d[1]}${  t ? `T${t[1]}${t[2]}00` : ''}/${
-         d[4] ? `${d[7]}${d[6]}${d[5]}` 
-              : `${d[3]}${d[2]}${d[1]}`}${t ? `T${t[3]}${t[4]}00` : ''}`
-    };
-  }));
-  return events;
-}
-
-function eventTR(e) {
-  const description = encodeURIComponent(
-      `${CONFIG.elternportal.tag}: ${e.status === -1 ? 'ABGESAGT: ' : ''}${e.description}`);
-  return `${TR_AND_STATUS[e.status]}<td>${e.date}</td><td>${e.time}</td><td><a href="${
-    GCAL_URL}text=${description}&dates=${encodeURIComponent(e.dates)}">${
-    e.descriptionHtml}</a></td></tr>`;
-}
-
-function eventsMatch(a, b) {
-  return a.descriptionHtml === b.descriptionHtml 
-      && a.description === b.description 
-      && a.dates === b.dates;
-}
-
-function containsEvent(events, event) {
-  return events.find(e => eventsMatch(e, event));
-}
-
-function reportAndRemoveEventsWithErrors(events) {
-  let errors = '';
-  events.filter(e => e.error).forEach(error => {
-    LOG.error(`Failed to parse date "${error.date}" for event "${error.description}"`);
-    if (!errors) {
-      errors = 'Folgende Termine konnten nicht verarbeitet werden:\n\n';
+    // On the first run there is nothing to compare to, so we silently store the baseline instead of
+    // reporting every cell as a change.
+    if (!Object.keys(this.#state.timetable).length) {
+      LOG.info('Storing initial timetable');
+      this.#state.timetable = timetable;
+      return;
     }
-    errors += `- Termin "${error.description}" mit Datum "${error.date}"\n`;
-  });
-  if (errors) {
-    INBOUND.push({ 
-      email: em.buildEmailAdmin('Termine konnten nicht verarbeitet werden', {text: errors}),
-      ok: () => {}
+    // Compare all cells present in either the previous or the current timetable. Iterate the
+    // current timetable first to keep the page order.
+    const previous = this.#state.timetable;
+    const changes = [];
+    for (const day of new Set(Object.keys(timetable).concat(Object.keys(previous)))) {
+      const periods = Object.keys(timetable[day] || {}).concat(Object.keys(previous[day] || {}));
+      for (const period of new Set(periods)) {
+        const oldText = (previous[day] || {})[period] || '';
+        const newText = (timetable[day] || {})[period] || '';
+        if (oldText !== newText) {
+          changes.push({day: day, period: period, oldText: oldText, newText: newText});
+        }
+      }
+    }
+    LOG.info(`Found ${changes.length} timetable change(s)`);
+    if (!changes.length) {
+      return;
+    }
+    const text = changes.map(c => `${c.day}, ${c.period}: ${c.oldText || '--'} -> ${
+        c.newText || '--'}`).join('\n');
+    const rowsHTML = changes.map(c =>
+        `<tr><td>${escapeHtml(c.day)}</td><td>${escapeHtml(c.period)}</td>`
+        + `<td class="old">${escapeHtml(c.oldText)}</td><td>${escapeHtml(c.newText)}</td></tr>`)
+        .join('\n');
+    const html = `<!DOCTYPE html><html><head><title>Stundenplan</title>
+        <style>
+        table { border-collapse: collapse; }
+        td, th { border: 1px solid; padding: 0 4px; }
+        td.old { text-decoration: line-through; }
+        </style></head>
+        <body>
+        <h2>&Auml;nderungen im Stundenplan</h2>
+        <table>
+        <tr><th>Tag</th><th>Stunde</th><th>Bisher</th><th>Neu</th></tr>
+        ${rowsHTML}
+        </table>
+        </body></html>`;
+    INBOUND.push({
+      email: this.buildEmailTimetable({text: text, html: html}),
+      ok: () => { this.#state.timetable = timetable; }
     });
   }
-  return events.filter(e => !e.error);
-}
 
-async function readEvents(page, stateEP) {
-  // An event is considered expired on the next day. We store events with a time of day of 0:00:00,
-  // so we compute the timestamp for 0:00:00 today and prune events before then. Note that the event
-  // HTML also contains the date, so using it as a key is sufficient and we can ignore the
-  // timestamp.
-  const todayZeroDate = new Date(NOW);
-  todayZeroDate.setHours(0, 0, 0, 0);
-  const todayZeroTs = todayZeroDate.getTime();
-  stateEP.events = stateEP.events.filter(e => e.ts >= todayZeroTs);
-
-  // Read all exams and events.
-  await page.goto(`${CONFIG.elternportal.url}/service/termine/liste/schulaufgaben`);
-  let events = await readEventsInternal(page);
-  await page.goto(`${CONFIG.elternportal.url}/service/termine/liste/allgemein`);
-  events = events.concat(await readEventsInternal(page));
-  events = reportAndRemoveEventsWithErrors(events);
-
-  // Filter those within the lookahead range and not yet processed.
-  let lookaheadDate = new Date(todayZeroDate);
-  lookaheadDate.setDate(lookaheadDate.getDate() + CONFIG.elternportal.eventLookaheadDays);
-  const lookaheadTs = lookaheadDate.getTime();
-  let upcomingEvents = events
-      .filter(e => e.ts >= todayZeroTs && e.ts <= lookaheadTs)
-      // See TR_AND_STATUS for status codes.
-      .map(e => { return { ...e, status: containsEvent(stateEP.events, e) ? 0 : 1 }; });
-  const numNewEvents = upcomingEvents.filter(e => e.status == 1).length;
-
-  // Find removed events. stateEP.events has been pruned above, so anything it contains that is no
-  // longer upcoming was removed.
-  const removedEvents = stateEP.events
-      .filter(e => !containsEvent(upcomingEvents, e))
-      .map(e => { return { ...e, status: -1 }; });
-  const numRemovedEvents = removedEvents.length;
-
-  // Join the two and sort them by timestamp.
-  upcomingEvents = upcomingEvents.concat(removedEvents).sort((a, b) => a.ts - b.ts);
-
-  // Build a list of all upcoming events.
-  events = events
-      .filter(e => e.ts > lookaheadTs)
-      .map(e => { return { ...e, status: 0 }; })
-      .sort((a, b) => a.ts - b.ts);
-
-  LOG.info(`Found ${events.length} future events, of which ${upcomingEvents.length} in lookahead, `
-      + `of which ${numNewEvents} new and ${numRemovedEvents} removed`);
-
-  // Create emails.
-  if (!(numNewEvents + numRemovedEvents)) {
-    return;
-  }
-  let emailHTML = `<!DOCTYPE html><html><head><title>Bevorstehende Termine</title>
-      <style>
-      table { border-collapse: collapse; }
-      tr { border-bottom: 1pt solid; }
-      tr.new { font-weight: bold; }
-      tr.removed { text-decoration: line-through; }
-      </style>
-      </head>
-      <body>
-      <h2>Termine in den n&auml;chsten ${CONFIG.elternportal.eventLookaheadDays} Tagen</h2>
-      <table>\n`;
-  upcomingEvents.forEach(e => emailHTML += eventTR(e));
-  emailHTML += `
-      </table>
-      <hr>
-      <details>
-        <summary>Alle weiteren zuk&uuml;nftigen Termine</summary>
-        <span>
-          <table>`;
-  events.forEach(e => emailHTML += eventTR(e));
-  emailHTML += `
-          </table>
-        </span>
-      </details>
-      </body></html>`;
-
-  const okHandler = function() {
-    // Update state of previous (announced) events when all emails are sent.
-    upcomingEvents.forEach(e => {
-      if (e.status == 1) {
-        delete e.status;
-        // New event -> no longer new next time.
-        stateEP.events.push(e);
-      } else if (e.status == -1) {
-        // Removed event -> no longer included next time.
-        stateEP.events = stateEP.events.filter(ee => !eventsMatch(ee, e));
-      } // else: status 0 means the event exists both online and in stateEP.events -> no-op
-    })};
-
-  INBOUND.push({
-    email: buildEmailEvents({html: emailHTML}),
-    ok: () => okHandler()
-  });
-}
+  // ---------- Notice board ----------
 
-// ---------- Outgoing messages ----------
-
-async function sendMessagesToTeachers(page) {
-  LOG.info(`Sending ${OUTBOUND.length} message(s) to teachers`);
-  // Sidenote: Curiously navigation will always succeed, even for nonexistent teacher IDs. What's
-  // more, we can actually send messages that we can then retrieve by navigating to the URL
-  // directly. This greatly simplifies testing :-)
-
-  // For each message (part), sending may fail either in the "read" operation (navigating to the
-  // form) or in the "write" operation (clicking the "send" button). For simplicity we don't
-  // distinguish between the two. Also, we never retry the "write" operation to avoid the risk of
-  // flooding a teacher with messages. This means that each message must be removed from the global
-  // "outbound" variable after processing is complete. To guarantee this we make a local copy and
-  // clear the global variable right away.
-  const outboundTmp = OUTBOUND;
-  OUTBOUND = [];
-
-  for (const msg of outboundTmp) {
-    // In case of multiple messages we prefix them with "[n/N] ". Assuming that n and N have at
-    // most 2 characters, we simply substract 8 characters for every such prefix.
-    const capacity = msg.text.length <= CONFIG.elternportal.messageSizeLimit
-        ? CONFIG.elternportal.messageSizeLimit
-        : (CONFIG.elternportal.messageSizeLimit - 8);
-    const numParts = Math.ceil(msg.text.length / capacity);
-    let onReplyPage = false;
-
-    try {
-      for (let i = 0; i < numParts; i++) {
-        if (msg.replyThreadId) {
-          if (!onReplyPage) {
-            await page.goto(
-                `${CONFIG.elternportal.url}/meldungen/kommunikation_fachlehrer/` +
-                `${msg.teacherId}/${msg.replyThreadId}`);
-            // We probably don't need load_all=1 here, assuming the reply box is always shown.
-            onReplyPage = true; // The form remains available after posting the reply.
-          } // else: We're already on the reply page.
-        } else { // create a new thread
-          await page.goto(
-              `${CONFIG.elternportal.url}/meldungen/kommunikation_fachlehrer/${msg.teacherId}`);
-          await page.type('#new_betreff', msg.subject);
-        }
+  async readNoticeBoard() {
+    const previousHashes = this.#state.hashes;
+    await this.#page.goto(`${this.#config.url}/aktuelles/schwarzes_brett`);
 
-        const prefix = numParts == 1 ? '' : '[' + (i + 1) + '/' + numParts + '] ';
-        const logInfix = numParts == 1 ? '' : ' part ' + (i + 1) + '/' + numParts;
-        await page.type(
-            '#nachricht_kom_fach', prefix + msg.text.substring(i * capacity, (i + 1) * capacity));
+    const entries = await this.#page.$$eval('div.well', (wells) => {
+      return wells.map(well => {
+        const h4 = well.querySelector('h4');
+        if (!h4) return null;
 
-        // We mark the original email done before actually submitting the form to avoid duplicate 
-        // messages in case of errors. Unfortunately one incoming email may map to multiple parts,
-        // so we have to do it for the first part to be safe.
-        if (i == 0) {
-          await msg.markDone();
-        }
+        const subject = h4.innerHTML.trim();
+        const pElements = Array.from(well.querySelectorAll('p'));
 
-        // Click the button to do the thing.
-        const [response] = await Promise.all([
-          page.waitForNavigation(),
-          page.click('button#send')
-        ]);
+        // ignore posting date
+        const content = pElements
+          .filter(p => !p.classList.contains('text-right'))
+          .map(p => p.outerHTML)
+          .join('\n');
 
-        if (response.ok()) {
-          LOG.info('Sent message%s to teacher %d', logInfix, msg.teacherId);
-          // The new thread is the first shown on the response page. Extract its ID and treat the
-          // remaining parts as replies. The form shown on the response page is NOT associated with
-          // this thread, but would open a new thread.
-          if (numParts > 1 && !msg.replyThreadId) {
-            msg.replyThreadId = await page.$eval(
-              'a[href*="meldungen/kommunikation_fachlehrer/"',
-              (a) => a.href.match(/.*\/(\d+)$/)[1]);
-          }
-        } else {
-          throw `${response.status()} ${response.statusText()}`;
-        }
+        const attachments = Array.from(well.querySelectorAll('a[href*="get_file"]'))
+          .map(a => ({ url: a.href, name: a.innerText.trim() }));
+
+        return { subject, content, attachments };
+      }).filter(e => e !== null);
+    });
+
+    let newHashes = {};
+    const newEntries = [];
+    for (const entry of entries) {
+      entry.hash = noticeBoardHash(entry);
+      if (previousHashes.notices[entry.hash]) {
+        newHashes[entry.hash] = 1; // indicate "done"
+      } else {
+        newEntries.push(entry);
       }
-    } catch (e) {
-      LOG.error(`Failed to send message to teacher ${msg.teacherId}: ${e}`);
+    }
+
+    // Only new entries are emailed, so we only download their attachments.
+    await this.readNoticeBoardAttachments(newEntries);
+
+    for (const {subject, content, attachments, hash} of newEntries) {
+      LOG.info('Found notice board message');
+      newHashes[hash] = 0; // indicate "not yet done"
       INBOUND.push({
-        email: em.buildEmailAdmin(
-          'Nachrichtenversand fehlgeschlagen',
-          {
-            text: `Nachricht an Lehrer ${msg.teacherId} konnte nicht gesendet werden.\n\n`
-              + `Fehler:\n${e}\n\nWeitere Details im Logfile.`
-          }),
-        ok: () => {}
+        email: this.buildEmailNotices(subject, {
+          html: `<!DOCTYPE html><html><head></head><body>${content}</body></html>`,
+          attachments: attachments.map(a => {
+            return { filename: a.filename, content: a.content };
+          })
+        }),
+        ok: () => { newHashes[hash] = 1; }
       });
     }
+    // In the new object, existing hashes map to 1 while newly encountered ones map to 0. They are
+    // set to 1 in the OK handler.
+    previousHashes.notices = newHashes;
   }
-}
 
-// ---------- Incoming email ----------
-
-// Returns true if the main loop should should be awake()-ned. For simplicity we awake
-// unconditionally. We don't distinguish between new content notifications and ignored messages,
-// e.g. sick leave confirmation. An occasional false positive is OK.
-// We use the "answered" flag, which is part of the IMAP standard, to mark messages done.
-async function processNewEmail() {
-  // Collect messages not intended for forwarding to teachers. These are marked processed to hide
-  // them in the next query. They only trigger a scraping iteration. Key is IMAP sequence number, 
-  // value is 1.
-  const ignoredMessages = {};
-  let numNewMessages = 0;
-
-  for await (let message of IMAP_CLIENT.fetch({answered: false}, { source: true })) {
-    ++numNewMessages;
-    // This is removed if we found something to process, i.e. registered a success handler that
-    // will mark the message processed.
-    ignoredMessages[message.seq] = 1;
-    // If no incoming email address is set up, there is nothing to do except mark new messages.
-    if (!CONFIG.options.incomingEmail.regEx) {
-      continue;
-    }
-
-    const parsedMessage = await simpleParser(message.source);
-
-    const recipients = [].concat(
-        parsedMessage.to ? parsedMessage.to.value : [],
-        // The portal doesn't support the concept of multiple recipients, but we do. We treat To:
-        // and Cc: the same.
-        parsedMessage.cc ? parsedMessage.cc.value : [])
-        // The user may have set up forwarding from some easy-to-guess address (e.g. the one
-        // initially registered with the portal), exposing the address to spam or pranks. To be safe
-        // we check for the secret, hard-to-guess address.
-        .filter(value => value.address && value.address.match(CONFIG.options.incomingEmail.regEx));
-
-    if (!recipients.length) {
-      continue; // The message isn't intended for a teacher.
-    }
-
-    // Prevent (likely accidental) impersonation by allowing only known senders in the From:.
-    let rejectedFrom = null;
-    if (!parsedMessage.from || !parsedMessage.from.value.length) { // never allowed
-      rejectedFrom = '';
-    } else if (!CONFIG.options.incomingEmail.allowForwardingFrom.includes( // maybe not allowed
-      // Assume just one element in the From: header, for simplicity.
-      parsedMessage.from.value[0].address.toLowerCase())) {
-      rejectedFrom = parsedMessage.from.text;
-    }
-    if (rejectedFrom !== null) {
-      LOG.warn(`Rejecting incoming email from "${rejectedFrom}"`);
-      INBOUND.push({
-        email: em.buildEmailAdmin(
-          'Nachricht von fremdem Absender ignoriert',
-          {
-            text: `Nachricht von "${rejectedFrom}" an ` +
-              `${CONFIG.options.incomingEmail.forwardingAddress} wurde ignoriert.\n\n` +
-              'ACHTUNG: Diese Adresse sollte nicht veröffentlicht werden!'
-          }),
-        ok: () => {}
-      });
-      continue;
-    }
-
-    // For replies we get the teacher ID and thread ID from the In-Reply-To header, and we don't
-    // need a subject. Other teachers may be among the recipients though, for these a new thread is
-    // created.
-    [_, replyTeacherId, replyThreadId] =
-        parsedMessage.inReplyTo && parsedMessage.inReplyTo.startsWith('<thread-')
-            ? parsedMessage.inReplyTo.split('-')
-            : [0, -1, -1];
-
-    for (const recipient of recipients) {
-      const teacherId = recipient.address.match(CONFIG.options.incomingEmail.regEx)[1];
-      if (!teacherId) { // This still allows testing with "0" because it's a string.
-        LOG.warn('Failed to parse recipient "%s"', recipient.address);
-        continue; // Should never happen because we filtered recipients to match the RegEx above.
+  async readNoticeBoardAttachments(entries) {
+    let options = null;
+    let wait = false;
+    for (const entry of entries) {
+      for (const file of entry.attachments) {
+        options ||= { headers: { 'Cookie': await getPhpSessionIdAsCookie(this.#page) } };
+        if (wait) {
+          await sleepSeconds(this.#config.fileDownloadWaitSeconds);
+        }
+        await downloadFile(file, options);
+        wait = true;
+        LOG.info('Read notice board attachment (%d kb) for: %s',
+            file.content.length >> 10, entry.subject);
       }
+    }
+  }
+
+  // ---------- Events ----------
+
+  eventTR(e) {
+    const description = encodeURIComponent(
+        `${this.#config.tag}: ${e.status === -1 ? 'ABGESAGT: ' : ''}${e.description}`);
+    // For moved events show the previous date/time, if different, along with the new one.
+    const previous = (field) =>
+        e.previous && e.previous[field] !== e[field] ? `<s>${e.previous[field]}</s>&nbsp;` : '';
+    return `${TR_AND_STATUS[e.status]}<td>${previous('date')}${e.date}</td><td>${
+      previous('time')}${e.time}</td><td><a href="${
+      GCAL_URL}text=${description}&dates=${encodeURIComponent(e.dates)}">${
+      e.descriptionHtml}</a></td></tr>`;
+  }
+
+  /**
+   * Returns a UID for the event, derived from its identity (cf. eventsMatch()). Moved events keep
+   * the UID of the original event, so calendars update it.
+   */
+  eventUid(e) {
+    return e.uid
+        || em.buildMessageId(`event-${md5(`${this.#config.url}\n${e.description}\n${e.dates}`)}`);
+  }
 
-      // We now know that the message has payload. The prep handler below will mark it done.
-      delete ignoredMessages[message.seq];
-
-      const isReply = teacherId == replyTeacherId;
-      // Empty subject or body are not accepted by the portal. Messages without subject don't even
-      // have a "subject" field. Defensively, assume the same for the body even though I haven't
-      // verified that.
-      const subject = (parsedMessage.subject || '').trim() || '(kein Betreff)';
-      const text = (parsedMessage.text || '').trim() || '(kein Text)';
-      LOG.info(
-          `Received ${isReply ? 'reply to' : 'email for'} teacher ${teacherId}${
-          recipient.name ? ` (${recipient.name})` : ''}: "${subject}" (${
-          text.length} characters; IMAP ID ${message.seq})`);
-      OUTBOUND.push({
-        teacherId: teacherId,
-        replyThreadId: isReply ? replyThreadId : undefined,
-        subject: isReply ? undefined : subject,
-        text: text,
-        markDone: async () => markEmailDone(message.seq)
+  /** Converts the event to the format used in ical.js. */
+  toICalEvent(e) {
+    const [start, end] = e.dates.split('/');
+    return {
+      uid: this.eventUid(e),
+      summary: `${this.#config.tag}: ${e.description}`,
+      start: start,
+      end: end,
+      sequence: e.sequence,
+      cancelled: e.status === -1
+    };
+  }
+
+  /**
+   * Updates the events served in the calendar feed. Events that disappeared are kept as cancelled
+   * until they are past, so subscribed calendars show the cancellation.
+   */
+  updateCalendar(events, todayZeroTs, movedEvents) {
+    // Use UID and sequence of known events, which may differ for moved events.
+    const known = e => containsEvent(movedEvents, e) || containsEvent(this.#state.events, e) || {};
+    const current = events
+        .filter(e => e.ts >= todayZeroTs)
+        .map(e => {
+          const { uid, sequence } = known(e);
+          return { ...this.toICalEvent({ ...e, uid: uid, sequence: sequence }), ts: e.ts };
+        });
+    const uids = new Set(current.map(e => e.uid));
+    const cancelled = this.#state.calendar
+        .filter(e => e.ts >= todayZeroTs && !uids.has(e.uid))
+        .map(e => { return { ...e, cancelled: true }; });
+    this.#state.calendar = current.concat(cancelled).sort((a, b) => a.ts - b.ts);
+  }
+
+  /**
+   * Sends reminders for events according to the reminderDays option, e.g.
+   * { "schulaufgaben": [7, 1] } to send reminders 7 days and 1 day before each exam. Each reminder
+   * is sent once. If several are due (e.g. because the event was added late), only the latest is
+   * sent.
+   */
+  buildEmailsForReminders(events, todayZeroTs) {
+    const reminders = this.#state.reminders;
+    for (const [key, ts] of Object.entries(reminders)) {
+      if (ts < todayZeroTs) {
+        delete reminders[key];
+      }
+    }
+    const rules = this.#config.reminderDays || {};
+    for (const e of events.filter(e => e.ts >= todayZeroTs)) {
+      // Events are at 0:00:00, so this is a whole number (modulo DST changes).
+      const daysLeft = Math.round((e.ts - todayZeroTs) / (24 * 60 * 60 * 1000));
+      const uid = this.eventUid(e);
+      const due = (rules[e.type] || [])
+          .filter(days => daysLeft <= days && !reminders[`${uid} ${days}`]);
+      if (!due.length) {
+        continue;
+      }
+      const when = daysLeft == 0 ? 'heute' : (daysLeft == 1 ? 'morgen' : `in ${daysLeft} Tagen`);
+      LOG.info(`Sending reminder for event "${e.description}" (${when})`);
+      INBOUND.push({
+        email: this.buildEmailReminder(`${e.description} (${when})`, {
+          html: `<!DOCTYPE html><html><head></head><body><table><tr><td>${e.date}</td><td>${
+              e.time}</td><td>${e.descriptionHtml}</td></tr></table></body></html>`
+        }),
+        ok: () => { due.forEach(days => reminders[`${uid} ${days}`] = e.ts); }
       });
     }
   }
-  LOG.info(`New incoming emails: ${numNewMessages}`);
 
-  if (Object.keys(ignoredMessages).length) {
-    const seqs = Object.keys(ignoredMessages).join();
-    await IMAP_CLIENT.messageFlagsAdd({seq: seqs}, ['\\Answered']);
-    LOG.debug(`Marked ignored emails: ${seqs}`);
+  async readEvents() {
+    const stateEP = this.#state;
+    // An event is considered expired on the next day. We store events with a time of day of
+    // 0:00:00, so we compute the timestamp for 0:00:00 today and prune events before then. Note
+    // that the event HTML also contains the date, so using it as a key is sufficient and we can
+    // ignore the timestamp.
+    const todayZeroDate = new Date(NOW);
+    todayZeroDate.setHours(0, 0, 0, 0);
+    const todayZeroTs = todayZeroDate.getTime();
+    stateEP.events = stateEP.events.filter(e => e.ts >= todayZeroTs);
+
+    // Read all exams and events. The type is the name of the list, as used in reminderDays.
+    let events = [];
+    for (const type of ['schulaufgaben', 'allgemein']) {
+      await this.#page.goto(`${this.#config.url}/service/termine/liste/${type}`);
+      events = events.concat(
+          (await readEventsInternal(this.#page)).map(e => { return { ...e, type: type }; }));
+    }
+    events = reportAndRemoveEventsWithErrors(events);
+    this.buildEmailsForReminders(events, todayZeroTs);
+
+    // Filter those within the lookahead range and not yet processed.
+    let lookaheadDate = new Date(todayZeroDate);
+    lookaheadDate.setDate(lookaheadDate.getDate() + this.#config.eventLookaheadDays);
+    const lookaheadTs = lookaheadDate.getTime();
+    let upcomingEvents = events
+        .filter(e => e.ts >= todayZeroTs && e.ts <= lookaheadTs)
+        // See TR_AND_STATUS for status codes.
+        .map(e => { return { ...e, status: containsEvent(stateEP.events, e) ? 0 : 1 }; });
+
+    // Find removed events. stateEP.events has been pruned above, so anything it contains that is
+    // no longer upcoming was removed.
+    let removedEvents = stateEP.events
+        .filter(e => !containsEvent(upcomingEvents, e))
+        .map(e => { return { ...e, status: -1 }; });
+
+    // Report a removed event that reappears similarly as moved, instead of as removed and new.
+    const movedEvents = findMovedEvents(upcomingEvents.filter(e => e.status == 1), removedEvents);
+    movedEvents.forEach(e => {
+      e.uid = this.eventUid(e.previous);
+      e.sequence = (e.previous.sequence || 0) + 1;
+    });
+    upcomingEvents = upcomingEvents.filter(e => e.status != 1 || !containsEvent(movedEvents, e));
+    removedEvents = removedEvents.filter(e => !movedEvents.some(m => m.previous === e));
+    const numNewEvents = upcomingEvents.filter(e => e.status == 1).length;
+    const numRemovedEvents = removedEvents.length;
+    const numMovedEvents = movedEvents.length;
+
+    this.updateCalendar(events, todayZeroTs, movedEvents);
+
+    // Join them and sort them by timestamp.
+    upcomingEvents =
+        upcomingEvents.concat(removedEvents, movedEvents).sort((a, b) => a.ts - b.ts);
+
+    // Build a list of all upcoming events.
+    events = events
+        .filter(e => e.ts > lookaheadTs)
+        .map(e => { return { ...e, status: 0 }; })
+        .sort((a, b) => a.ts - b.ts);
+
+    LOG.info(`Found ${events.length} future events, of which ${upcomingEvents.length} in `
+        + `lookahead, of which ${numNewEvents} new, ${numRemovedEvents} removed and `
+        + `${numMovedEvents} moved`);
+
+    // Create emails.
+    if (!(numNewEvents + numRemovedEvents + numMovedEvents)) {
+      return;
+    }
+    let emailHTML = `<!DOCTYPE html><html><head><title>Bevorstehende Termine</title>
+        <style>
+        table { border-collapse: collapse; }
+        tr { border-bottom: 1pt solid; }
+        tr.new { font-weight: bold; }
+        tr.removed { text-decoration: line-through; }
+        tr.moved { font-weight: bold; }
+        tr.moved s { font-weight: normal; }
+        </style>
+        </head>
+        <body>
+        <h2>Termine in den n&auml;chsten ${this.#config.eventLookaheadDays} Tagen</h2>
+        <table>\n`;
+    upcomingEvents.forEach(e => emailHTML += this.eventTR(e));
+    emailHTML += `
+        </table>
+        <hr>
+        <details>
+          <summary>Alle weiteren zuk&uuml;nftigen Termine</summary>
+          <span>
+            <table>`;
+    events.forEach(e => emailHTML += this.eventTR(e));
+    emailHTML += `
+            </table>
+          </span>
+        </details>
+        </body></html>`;
+
+    const okHandler = function() {
+      // Update state of previous (announced) events when all emails are sent.
+      upcomingEvents.forEach(e => {
+        if (e.status == 1) {
+          delete e.status;
+          // New event -> no longer new next time.
+          stateEP.events.push(e);
+        } else if (e.status == -1) {
+          // Removed event -> no longer included next time.
+          stateEP.events = stateEP.events.filter(ee => !eventsMatch(ee, e));
+        } else if (e.status == 2) {
+          // Moved event -> replace the previous version.
+          stateEP.events = stateEP.events.filter(ee => !eventsMatch(ee, e.previous));
+          const { status, previous, ...moved } = e;
+          stateEP.events.push(moved);
+        } // else: status 0 means the event exists both online and in stateEP.events -> no-op
+      })};
+
+    // Attach new, removed and moved events, so they can be imported into any calendar in one go.
+    const ics = ical.buildCalendarUpdate(
+        upcomingEvents.filter(e => e.status != 0).map(e => this.toICalEvent(e)));
+    INBOUND.push({
+      email: this.buildEmailEvents({
+        html: emailHTML,
+        attachments: [{
+          filename: 'termine.ics',
+          content: ics,
+          contentType: 'text/calendar; charset=utf-8'
+        }]
+      }),
+      ok: () => okHandler()
+    });
   }
 
-  return !!numNewMessages;
-}
+  // ---------- Outgoing messages ----------
 
-async function markEmailDone(seq) {
-  await IMAP_CLIENT.messageFlagsAdd({ seq: seq }, ['\\Answered']);
-  LOG.debug(`Marked processed email: ${seq}`);
-}
+  /** Returns the name (if known) and ID of the teacher an outbound message is intended for. */
+  teacherLabel(msg) {
+    const teacher = this.#state.teachers[msg.teacherId];
+    const name = teacher ? `${teacher.firstName} ${teacher.lastName}`.trim() : msg.teacherName;
+    return name ? `${name} (ID ${msg.teacherId})` : `Lehrer ${msg.teacherId}`;
+  }
 
-// ---------- Email construction ----------
+  /**
+   * Replies to the sender of an outbound message with a delivery receipt, if enabled, or a failure
+   * notice. The reply is threaded to the sender's email.
+   */
+  sendReceipt(msg, what, text, failure = false) {
+    if (!msg.replyTo || (!failure && !CONFIG.options.incomingEmail.deliveryReceipts)) {
+      return;
+    }
+    INBOUND.push({
+      email: ob.buildEmailReply(this.#config, msg.replyTo, what, { text: text }),
+      ok: () => {}
+    });
+  }
 
-function buildEmailAnnouncements(subject, options) {
-  return em.buildEmail(
-      `${CONFIG.elternportal.tag} Elternbrief`,
-      CONFIG.elternportal.recipients['*'].concat(CONFIG.elternportal.recipients.elternbriefe),
-      subject,
-      options);
-}
+  /**
+   * Throws an error naming the form if any of the specified fields is missing on the current page,
+   * e.g. because the school hasn't enabled the form or the page layout changed. This won't go away
+   * by itself, so the email of the outbound message is marked done to avoid retrying it.
+   */
+  async requireFormFields(msg, formName, selectors) {
+    const missing = [];
+    for (const selector of selectors) {
+      if (!(await this.#page.$(selector))) {
+        missing.push(selector);
+      }
+    }
+    if (missing.length) {
+      await ob.markOutboundEmailDone(msg);
+      throw new Error(`Formular "${formName}" nicht gefunden oder unvollständig `
+          + `(${this.#page.url()}). Fehlende Felder: ${missing.join(', ')}`);
+    }
+  }
 
-function buildEmailEvents(options) {
-  return em.buildEmail(
-      `${CONFIG.elternportal.tag} Termine`,
-      CONFIG.elternportal.recipients['*'].concat(CONFIG.elternportal.recipients.termine),
-      'Bevorstehende Termine',
-      options);
-}
+  async sendMessagesToTeachers() {
+    // For each message (part), sending may fail either in the "read" operation (navigating to the
+    // form) or in the "write" operation (clicking the "send" button). For simplicity we don't
+    // distinguish between the two. Also, we never retry the "write" operation to avoid the risk of
+    // flooding a teacher with messages. This means that each message must be removed from OUTBOUND
+    // after processing is complete, which we guarantee with "finally". Messages resumed after a
+    // restart continue after the last part posted (see readOutbound()).
+    const outboundTmp = ob.takeOutbound(this.#config, 'teacher');
+    LOG.info(`Sending ${outboundTmp.length} message(s) to teachers`);
+    // Sidenote: Curiously navigation will always succeed, even for nonexistent teacher IDs. What's
+    // more, we can actually send messages that we can then retrieve by navigating to the URL
+    // directly. This greatly simplifies testing :-)
+
+    const page = this.#page;
+    for (const msg of outboundTmp) {
+      const parts = splitMessage(msg.text, this.#config.messageSizeLimit);
+      const numParts = parts.length;
+      let onReplyPage = false;
+
+      try {
+        for (let i = msg.partsPosted; i < numParts; i++) {
+          if (msg.replyThreadId) {
+            if (!onReplyPage) {
+              await page.goto(
+                  `${this.#config.url}/meldungen/kommunikation_fachlehrer/` +
+                  `${msg.teacherId}/${msg.replyThreadId}`);
+              // We probably don't need load_all=1 here, assuming the reply box is always shown.
+              onReplyPage = true; // The form remains available after posting the reply.
+            } // else: We're already on the reply page.
+          } else { // create a new thread
+            await page.goto(
+                `${this.#config.url}/meldungen/kommunikation_fachlehrer/${msg.teacherId}`);
+            await page.type('#new_betreff', msg.subject);
+          }
 
-function buildEmailNotices(subject, options) {
-  return em.buildEmail(
-      `${CONFIG.elternportal.tag} Schwarzes Brett`,
-      CONFIG.elternportal.recipients['*'].concat(CONFIG.elternportal.recipients.schwarzesbrett),
-      subject,
-      options);
-}
+          const logInfix = numParts == 1 ? '' : ' part ' + (i + 1) + '/' + numParts;
+          await page.type('#nachricht_kom_fach', parts[i]);
+
+          // We mark the original email done before actually submitting the form to avoid duplicate
+          // messages in case of errors. Unfortunately one incoming email may map to multiple parts,
+          // so we have to do it for the first part to be safe.
+          await ob.markOutboundEmailDone(msg);
+
+          // Click the button to do the thing.
+          ob.setOutboundState(msg, 'posting');
+          const [response] = await Promise.all([
+            page.waitForNavigation(),
+            page.click('button#send')
+          ]);
+
+          if (response.ok()) {
+            LOG.info('Sent message%s to teacher %d', logInfix, msg.teacherId);
+            // The new thread is the first shown on the response page. Extract its ID for the
+            // receipt and to treat the remaining parts as replies. The form shown on the response
+            // page is NOT associated with this thread, but would open a new thread. Only the latter
+            // requires the ID.
+            if (!msg.replyThreadId) {
+              msg.replyThreadId = await page.$eval(
+                'a[href*="meldungen/kommunikation_fachlehrer/"',
+                (a) => a.href.match(/.*\/(\d+)$/)[1]).catch(e => {
+                  if (numParts > 1) {
+                    throw e;
+                  }
+                  LOG.warn(`Failed to read ID of new thread: ${e}`);
+                });
+            }
+            ob.setOutboundState(msg, 'posted');
+          } else {
+            throw `${response.status()} ${response.statusText()}`;
+          }
+        }
+        this.sendReceipt(msg, 'Nachricht an Lehrer',
+            `Die Nachricht wurde an ${this.teacherLabel(msg)} gesendet.\n\n`
+            + `Thread-ID: ${msg.replyThreadId || 'unbekannt'}\n`
+            + `Teile: ${numParts}\n`
+            + `Zeitpunkt: ${new Date().toLocaleString('de-DE')}`);
+      } catch (e) {
+        LOG.error(`Failed to send message to teacher ${msg.teacherId}: ${e}`);
+        INBOUND.push({
+          email: em.buildEmailAdmin(
+            'Nachrichtenversand fehlgeschlagen',
+            {
+              text: `Nachricht an Lehrer ${msg.teacherId} (${this.#config.tag}) konnte nicht `
+                + `gesendet werden.\n\nFehler:\n${e}\n\nWeitere Details im Logfile.`
+            }),
+          ok: () => {}
+        });
+        this.sendReceipt(msg, 'Nachricht an Lehrer',
+            `Die Nachricht an ${this.teacherLabel(msg)} konnte NICHT (vollständig) gesendet `
+            + `werden. Gesendete Teile: ${msg.partsPosted} von ${numParts}.\n\nFehler:\n${e}`,
+            true);
+      } finally {
+        ob.removeOutbound(msg);
+      }
+    }
+  }
 
-function buildEmailSubstitutions(options) {
-  return em.buildEmail(
-      `${CONFIG.elternportal.tag} Vertretungsplan`,
-      CONFIG.elternportal.recipients['*'].concat(CONFIG.elternportal.recipients.vertretungsplan),
-      'Vertretungsplan',
-      options);
-}
+  // Submits inquiries to the Klassenleitung. Each part of a split message is a separate inquiry,
+  // because an inquiry holds only one message in each direction. As for messages to teachers, the
+  // original email is marked done before submitting the first part, we journal progress and we
+  // never retry.
+  async submitInquiries() {
+    const inquiries = ob.takeOutbound(this.#config, 'inquiry');
+    LOG.info(`Submitting ${inquiries.length} inquiries to Klassenleitung`);
+    const page = this.#page;
+
+    for (const msg of inquiries) {
+      const parts = splitMessage(msg.text, this.#config.messageSizeLimit);
+      try {
+        for (let i = msg.partsPosted; i < parts.length; i++) {
+          await page.goto(`${this.#config.url}/meldungen/kommunikation`);
+          await this.requireFormFields(msg, 'Kommunikation Eltern/Klassenleitung', [
+            'input[name="betreff"]', 'textarea[name="nachricht"]', 'button[type="submit"]']);
+          await page.type('input[name="betreff"]', msg.subject);
+          await page.type('textarea[name="nachricht"]', parts[i]);
+
+          await ob.markOutboundEmailDone(msg);
+
+          ob.setOutboundState(msg, 'posting');
+          const [response] = await Promise.all([
+            page.waitForNavigation(),
+            page.click('button[type="submit"]')
+          ]);
+          if (!response.ok()) {
+            throw `${response.status()} ${response.statusText()}`;
+          }
+          ob.setOutboundState(msg, 'posted');
+          LOG.info('Sent inquiry%s to Klassenleitung',
+              parts.length == 1 ? '' : ` part ${i + 1}/${parts.length}`);
+          // Remember where this came from, so the copy we later read in readInquiries() is
+          // threaded onto the original email.
+          if (msg.messageId) {
+            this.#state.inquiryReferences[inquiryReferenceKey(msg.subject, parts[i])] =
+                { messageId: msg.messageId, ts: NOW };
+          }
+        }
+        this.sendReceipt(msg, 'Nachricht an Klassenleitung',
+            `Die Nachricht wurde an die Klassenleitung gesendet.\n\n`
+            + `Teile: ${parts.length}\n`
+            + `Zeitpunkt: ${new Date().toLocaleString('de-DE')}`);
+      } catch (e) {
+        LOG.error(`Failed to send inquiry to Klassenleitung: ${e}`);
+        INBOUND.push({
+          email: em.buildEmailAdmin(
+            'Nachrichtenversand fehlgeschlagen',
+            {
+              text: `Nachricht an Klassenleitung (${this.#config.tag}) konnte nicht `
+                + `gesendet werden.\n\nFehler:\n${e}\n\nWeitere Details im Logfile.`
+            }),
+          ok: () => {}
+        });
+        this.sendReceipt(msg, 'Nachricht an Klassenleitung',
+            `Die Nachricht an die Klassenleitung konnte NICHT (vollständig) gesendet werden. `
+            + `Gesendete Teile: ${msg.partsPosted} von ${parts.length}.\n\nFehler:\n${e}`,
+            true);
+      } finally {
+        ob.removeOutbound(msg);
+      }
+    }
+  }
 
-function buildEmailThreads(teacherName, subject, options) {
-  return em.buildEmail(
-      `${CONFIG.elternportal.tag} ${teacherName}`,
-      CONFIG.elternportal.recipients['*'].concat(
-          CONFIG.elternportal.recipients.lehrerkommunikation),
-      subject,
-      options);
-}
+  // Submits sick notes via the absence form. As for messages to teachers, the original email is
+  // marked done before submitting, we journal progress and we never retry.
+  async submitSickNotes() {
+    const sickNotes = ob.takeOutbound(this.#config, 'sicknote');
+    LOG.info(`Submitting ${sickNotes.length} sick note(s)`);
+    const page = this.#page;
+
+    for (const sickNote of sickNotes) {
+      const dates = `${sickNote.from} - ${sickNote.until}`;
+      try {
+        await page.goto(`${this.#config.url}/meldungen/krankmeldung`);
+        await this.requireFormFields(sickNote, 'Krankmeldung', [
+          'input[name="datum_von"]', 'input[name="datum_bis"]', 'textarea[name="bemerkung"]',
+          'button[type="submit"]']);
+        // Accounts with multiple children have a child selection.
+        const children = await page.$$eval('select[name="kind"] option', options => options.map(
+            o => ({ value: o.value, name: o.textContent.trim() })));
+        if (children.length > 1) {
+          const child = children.find(
+              c => sickNote.child && c.name.toLowerCase().includes(sickNote.child.toLowerCase()));
+          if (!child) {
+            // This won't go away by itself, so don't retry.
+            await ob.markOutboundEmailDone(sickNote);
+            throw `Kind "${sickNote.child}" nicht gefunden. Zur Auswahl stehen: ${
+                children.map(c => c.name).join(', ')}`;
+          }
+          await page.select('select[name="kind"]', child.value);
+        }
+        await page.type('input[name="datum_von"]', sickNote.from);
+        await page.type('input[name="datum_bis"]', sickNote.until);
+        await page.type('textarea[name="bemerkung"]', sickNote.reason);
 
-// ---------- Orchestration ----------
+        await ob.markOutboundEmailDone(sickNote);
 
-async function processElternPortal(page, state) {
-  await loginElternPortal(page);
+        ob.setOutboundState(sickNote, 'posting');
+        const [response] = await Promise.all([
+          page.waitForNavigation(),
+          page.click('button[type="submit"]')
+        ]);
+        if (!response.ok()) {
+          throw `${response.status()} ${response.statusText()}`;
+        }
+        ob.setOutboundState(sickNote, 'posted');
+        // Forward the portal's confirmation, if any.
+        const confirmation = await page.$$eval(
+            'div.alert', divs => divs.map(d => d.innerText.trim()).join('\n'));
+        LOG.info(`Submitted sick note for ${dates}`);
+        INBOUND.push({
+          email: ob.buildEmailReply(this.#config, sickNote.replyTo, 'Krankmeldung', {
+            text: `Die Krankmeldung für ${dates} wurde abgegeben.\n\n`
+              + `${confirmation || '(Keine Bestätigung vom Portal erhalten.)'}`
+          }),
+          ok: () => {}
+        });
+      } catch (e) {
+        LOG.error(`Failed to submit sick note for ${dates}: ${e}`);
+        INBOUND.push({
+          email: ob.buildEmailReply(this.#config, sickNote.replyTo, 'Krankmeldung', {
+            text: `Die Krankmeldung für ${dates} konnte NICHT abgegeben werden.\n\n`
+              + `Fehler:\n${e}`
+          }),
+          ok: () => {}
+        });
+      } finally {
+        ob.removeOutbound(sickNote);
+      }
+    }
+  }
 
-  // Send messages to teachers. We will later retrieve those messages when scraping threads with
-  // teachers. That is intentional because presumably the second parent wants a copy of the message.
-  await sendMessagesToTeachers(page);
+  // ---------- Email construction ----------
 
-  // Section "Aktuelles".
-  const announcements = await readAnnouncements(page); // Always reads all.
-  await readAnnouncementsAttachments(page, announcements, state.ep.announcements);
-  buildEmailsForAnnouncements(page, announcements, state.ep.announcements);
+  buildEmailAnnouncements(subject, options) {
+    return em.buildEmail(
+        `${this.#config.tag} Elternbrief`,
+        this.#config.recipients['*'].concat(this.#config.recipients.elternbriefe),
+        subject,
+        options);
+  }
 
-  // Section "Kommunikation Eltern/Klassenleitung".
-  const inquiries = await readInquiries(page);
-  buildEmailsForInquiries(inquiries, state.ep);
+  buildEmailEvents(options) {
+    return em.buildEmail(
+        `${this.#config.tag} Termine`,
+        this.#config.recipients['*'].concat(this.#config.recipients.termine),
+        'Bevorstehende Termine',
+        options);
+  }
 
-  // Section "Kommunikation Eltern/Fachlehrer".
-  state.lastSuccessfulRun = state.lastSuccessfulRun || 0;
-  const threads = await readThreadsMeta(page, state.lastSuccessfulRun);
-  await readThreadsContents(page, threads);
-  await readThreadsAttachments(page, threads, state.ep.threads);
-  buildEmailsForThreads(threads, state.ep.threads);
+  buildEmailReminder(subject, options) {
+    return em.buildEmail(
+        `${this.#config.tag} Erinnerung`,
+        this.#config.recipients['*'].concat(this.#config.recipients.termine),
+        subject,
+        options);
+  }
 
-  // Section "Vertretungsplan"
-  await readSubstitutions(page, state.ep.hashes);
+  buildEmailNotices(subject, options) {
+    return em.buildEmail(
+        `${this.#config.tag} Schwarzes Brett`,
+        this.#config.recipients['*'].concat(this.#config.recipients.schwarzesbrett),
+        subject,
+        options);
+  }
 
-  // Section "Schwarzes Brett"
-  await readNoticeBoard(page, state.ep.hashes);
+  buildEmailTimetable(options) {
+    return em.buildEmail(
+        `${this.#config.tag} Stundenplan`,
+        this.#config.recipients['*'].concat(this.#config.recipients.stundenplan || []),
+        'Stundenplan',
+        options);
+  }
 
-  // Section "Schulaufgaben / Weitere Termine"
-  await readEvents(page, state.ep);
+  buildEmailSubstitutions(options) {
+    return em.buildEmail(
+        `${this.#config.tag} Vertretungsplan`,
+        this.#config.recipients['*'].concat(this.#config.recipients.vertretungsplan),
+        'Vertretungsplan',
+        options);
+  }
 
-  state.lastSuccessfulRun = global.NOW || state.lastSuccessfulRun;
+  buildEmailThreads(teacherName, subject, options) {
+    return em.buildEmail(
+        `${this.#config.tag} ${teacherName}`,
+        this.#config.recipients['*'].concat(this.#config.recipients.lehrerkommunikation),
+        subject,
+        options);
+  }
 }
 
-module.exports = { EMPTY_STATE, processElternPortal, processNewEmail, haveOutbound }
-
-
+module.exports = {
+  ElternPortal,
+  findMovedEvents,
+  noticeBoardHash,
+  parseSubstitutionRow,
+  splitMessage,
+  substitutionSummary
+}
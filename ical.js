@@ -0,0 +1,105 @@
+// ---------- Shared state ----------
+
+// global.NOW (see main.js)
+
+// Generation of iCalendar data (RFC 5545), e.g. for attaching events to emails.
+//
+// Events passed to the functions below have these fields:
+// - uid: Globally unique and stable ID, e.g. from em.buildMessageId()
+// - summary: Short text
+// - start: Start as "YYYYMMDD" (all-day) or "YYYYMMDDTHHMMSS" (floating local time)
+// - end: End in the same format. For all-day events this is the last day (inclusive).
+// - sequence: Optional revision number, must increase whenever the event changes
+// - cancelled: Optional, true if the event was cancelled
+
+const PRODID = '-//zieren.de//Eltern-Emailer//DE';
+
+// Escapes TEXT values (RFC 5545 section 3.3.11). vCard uses the same rules.
+function escapeText(s) {
+  return s.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+}
+
+// Folds lines longer than 75 octets (RFC 5545 section 3.1, same in vCard). Continuation lines
+// start with a space, which counts towards the limit. Multibyte characters are never split.
+function fold(line) {
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  for (const c of line) {
+    const n = Buffer.byteLength(c);
+    if (octets + n > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = '';
+      octets = 0;
+    }
+    part += c;
+    octets += n;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+// Returns the day after the specified "YYYYMMDD" in the same format.
+function nextDay(yyyymmdd) {
+  const d = new Date(yyyymmdd.substring(0, 4), yyyymmdd.substring(4, 6) - 1,
+      parseInt(yyyymmdd.substring(6, 8)) + 1);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+function buildEvent(event) {
+  const allDay = !event.start.includes('T');
+  // Sources may specify invalid ranges with the end before the start. Fall back to the start.
+  const end = event.end && event.end >= event.start ? event.end : event.start;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(new Date(NOW))}`,
+    allDay ? `DTSTART;VALUE=DATE:${event.start}` : `DTSTART:${event.start}`,
+    // DTEND is exclusive. For all-day events this means the day after the last day.
+    allDay ? `DTEND;VALUE=DATE:${nextDay(end.substring(0, 8))}` : `DTEND:${end}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.cancelled) {
+    // Published with STATUS:CANCELLED (see buildCalendarUpdate()). The sequence must increase.
+    lines.push('STATUS:CANCELLED', `SEQUENCE:${(event.sequence || 0) + 1}`);
+  } else if (event.sequence) {
+    lines.push(`SEQUENCE:${event.sequence}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Builds a single VCALENDAR object with the specified method, e.g. "PUBLISH". The optional name is
+ * shown by clients that subscribe to the calendar.
+ */
+function buildCalendar(method, events, name) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a calendar that publishes new events and cancels cancelled ones. This is a single
+ * VCALENDAR object, because clients import only the first one of a stream. We don't use
+ * METHOD:CANCEL, which requires an ORGANIZER (RFC 5546), but publish cancelled events with
+ * STATUS:CANCELLED and an increased SEQUENCE (see buildEvent()).
+ */
+function buildCalendarUpdate(events) {
+  return buildCalendar('PUBLISH', events);
+}
+
+module.exports = { buildCalendar, buildCalendarUpdate, escapeText, fold };
@@ -1,25 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
 const em = require('./email.js');
+const st = require('./state.js');
 
 // ---------- Shared state (initialized in main.js) ----------
 
 // global.LOG (see logging.js)
 // global.INBOUND (see main.js)
+// global.NOW (see main.js)
 
 const DOWNLOAD_TIMEOUT_DEFAULT_SECONDS = 30;
 
 const INITIAL_STATE = {
-  news: {} // news IDs, mapped to value 1
+  news: {} // news IDs, mapped to the time emailed (epoch millis; 1 if unknown)
 };
 
-function fillState(state, emptyState) {
-  for (const [key, value] of Object.entries(emptyState)) {
-    state[key] ||= value;
-    fillState(state[key], value); // Recurse for objects.
-  }
-}
-
 function sleepSeconds(seconds) {
   return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
 }
@@ -39,7 +34,7 @@ class IsySchule {
     this.#state = state;
     this.#page = page;
     this.#downloadPath = downloadPath;
-    fillState(this.#state, INITIAL_STATE);
+    st.fillState(this.#state, INITIAL_STATE);
   }
 
   async process() {
@@ -172,7 +167,7 @@ class IsySchule {
 
       INBOUND.push({
         email: email,
-        ok: () => this.#state.news[id] = 1
+        ok: () => this.#state.news[id] = NOW
       })
     }
   }
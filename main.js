@@ -29,7 +29,9 @@ global.IMAP_CLIENT = null;
 // ---------- Something like encapsulation ----------
 
 const em = require('./email.js')
-const ep = require('./elternportal.js'); // TODO: Convert to class and remove globals.
+const ical = require('./ical.js');
+const ep = require('./elternportal.js');
+const ob = require('./outbound.js');
 const sm = require('./schulmanager.js');
 const is = require('./isy-schule.js');
 
@@ -39,8 +41,12 @@ const CLI_OPTIONS = {
   args: [],
   flags: [
     { name: 'config', type: 'string', default: 'config.json' },
-    // List of already processed (i.e. emailed) items. See EMPTY_STATE for content description.
+    // List of already processed (i.e. emailed) items, keyed by job name. See INITIAL_STATE in the
+    // job modules for content description.
     { name: 'state', type: 'string', default: 'state.json' },
+    // Journal of outbound messages (e.g. to teachers) that have not been sent yet. See OUTBOUND in
+    // outbound.js.
+    { name: 'outbound', type: 'string', default: 'outbound.json' },
     { name: 'no_sandbox', type: 'boolean' },
     { name: 'ep_password', type: 'string' },
     { name: 'sm_password', type: 'string' },
@@ -54,14 +60,28 @@ const CLI_OPTIONS = {
 
 // This holds state read from the state.json file, keyed by job name at top level.
 let STATE = {};
+// Name of the state file. Set in readState().
+let STATE_FILE = null;
+
+// Job name for the legacy top level "elternportal" config section. See migrateElternPortalConfig().
+const LEGACY_EP_JOB_NAME = 'elternportal';
 
 // Last run in which all jobs were completed successfully (epoch millis).
 let LAST_SUCCESSFUL_RUN = 0;
 
-// This is OR-ed with what we read from state.json so keys etc. exist.
-const EMPTY_STATE = {
-  ep: ep.EMPTY_STATE
-};
+// Last time old emails were deleted from IMAP folders, see purgeImapFolders() (epoch millis).
+let LAST_IMAP_PURGE = 0;
+
+// Set via admin commands (see processAdminCommands()). These are persisted in the state file under
+// ADMIN_STATE_KEY, see writeAdminState().
+// Jobs are skipped until this time (epoch millis).
+let PAUSED_UNTIL = 0;
+// Like the "mute" option, but set by the admin.
+let MUTED_BY_ADMIN = false;
+// Key of the above in the state file, next to the job names.
+const ADMIN_STATE_KEY = '_admin';
+// Requests to resend emailed items, applied after reading the state. List of { section, since }.
+let PENDING_RESENDS = [];
 
 // Forward IMAP logging to our own logger.
 const IMAP_LOGGER = {
@@ -82,7 +102,11 @@ const IMAP_LOGGER = {
 // ---------- Synchronization ----------
 
 // May be called from event handlers (IMAP, SIGTERM) before the main loop builds the wait Promise.
-let awake = () => {};
+// Optionally takes the names of the jobs to run, otherwise all jobs are run.
+let awake = (_) => {};
+
+// Names of the jobs to run in the next iteration (a Set), or null for all jobs. See awake().
+let WAKE_JOBS = null;
 
 // Set when SIGTERM is received. Causes a graceful shutdown.
 let SIGTERM_RECEIVED = false;
@@ -112,13 +136,45 @@ function getTmpDir() {
   return tmpDir;
 }
 
+/**
+ * Serves the calendar feed of the specified job, if enabled via the job's calendarFeed option.
+ */
+function serveCalendar(name, res) {
+  const config = Object.hasOwn(CONFIG.jobs, name) ? CONFIG.jobs[name] : null;
+  if (!config || !config.calendarFeed || !STATE[name] || !STATE[name].calendar) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.write(ical.buildCalendar('PUBLISH', STATE[name].calendar, config.tag));
+  res.end();
+}
+
+/** Handles a request to the status server. */
+function handleStatusRequest(req, res) {
+  // Calendar feed at /calendar/<job>.ics.
+  const calendar = req.url.match(/^\/calendar\/([^/?]+)\.ics(?:\?|$)/);
+  if (calendar) {
+    let name;
+    try {
+      name = decodeURIComponent(calendar[1]);
+    } catch (e) {
+      res.statusCode = 400; // malformed escape sequence
+      res.end();
+      return;
+    }
+    serveCalendar(name, res);
+    return;
+  }
+  res.setHeader('Content-Type', 'text/plain');
+  res.write(`${LAST_SUCCESSFUL_RUN}`);
+  res.end();
+}
+
 async function maybeStartStatusServer() {
   if (STATUS_SERVER) return;
-  STATUS_SERVER = http.createServer((_, res) => {
-    res.setHeader('Content-Type', 'text/plain');
-    res.write(`${LAST_SUCCESSFUL_RUN}`);
-    res.end();
-  });
+  STATUS_SERVER = http.createServer(handleStatusRequest);
   STATUS_SERVER.listen(CONFIG.options.statusServerPort, () => {
     LOG.info(`Status server listening on port ${CONFIG.options.statusServerPort}`);
   });
@@ -126,6 +182,8 @@ async function maybeStartStatusServer() {
 
 function readConfigFile(flags) {
   CONFIG = JSON.parse(fs.readFileSync(flags.config, 'utf-8'));
+  CONFIG.jobs ||= {};
+  migrateElternPortalConfig();
   processFlags(flags);
   CONFIG.imap.logger = IMAP_LOGGER; // standing orders
   CONFIG.imap.maxIdleTime ||= 60 * 1000; // 60s default
@@ -133,24 +191,72 @@ function readConfigFile(flags) {
   createIncomingEmailRegExp();
 }
 
+/**
+ * Eltern-Portal used to be configured in a single top level "elternportal" section. Convert that to
+ * a regular job. The section is left in place so we can warn about it.
+ */
+function migrateElternPortalConfig() {
+  if (!CONFIG.elternportal || CONFIG.elternportal.url.startsWith('https://SCHOOL.')
+      || CONFIG.jobs[LEGACY_EP_JOB_NAME]) {
+    return;
+  }
+  CONFIG.jobs[LEGACY_EP_JOB_NAME] = {system: 'elternportal', active: true, ...CONFIG.elternportal};
+}
+
 function readState(flags) {
+  STATE_FILE = flags.state;
   STATE = fs.existsSync(flags.state) ? JSON.parse(fs.readFileSync(flags.state, 'utf-8')) : {};
-  setEmptyState(STATE, EMPTY_STATE);
+  migrateElternPortalState();
   LOG.debug('Read state');
 }
 
-function setEmptyState(state, emptyState) {
-  for (const [key, value] of Object.entries(emptyState)) {
-    state[key] ||= value;
-    setEmptyState(state[key], value); // Recurse for objects.
+/** Restores the settings made via admin commands before a restart. */
+function readAdminState(flags) {
+  const state = fs.existsSync(flags.state)
+      ? JSON.parse(fs.readFileSync(flags.state, 'utf-8'))[ADMIN_STATE_KEY] || {} : {};
+  PAUSED_UNTIL = state.pausedUntil || 0;
+  MUTED_BY_ADMIN = !!state.mutedByAdmin;
+}
+
+/**
+ * Writes the settings made via admin commands to STATE and, if specified, right away to the state
+ * file. The latter may happen while the main loop is busy, so we only update our key in the file
+ * and leave the job state to the main loop.
+ */
+function writeAdminState(toFile) {
+  const adminState = { pausedUntil: PAUSED_UNTIL, mutedByAdmin: MUTED_BY_ADMIN };
+  STATE[ADMIN_STATE_KEY] = adminState;
+  if (toFile && STATE_FILE && !CONFIG.options.test) {
+    const state = fs.existsSync(STATE_FILE) ? JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8')) : {};
+    state[ADMIN_STATE_KEY] = adminState;
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  }
+}
+
+/**
+ * Eltern-Portal state used to be stored in a top level "ep" section, with the time of the last
+ * successful run next to it. Move both to the first Eltern-Portal job.
+ */
+function migrateElternPortalState() {
+  if (!STATE.ep) {
+    return;
   }
+  const [name] = Object.entries(CONFIG.jobs)
+      .find(([_, config]) => (config.system || '').toLowerCase() === 'elternportal') || [];
+  if (!name || STATE[name]) {
+    LOG.warn('Not migrating legacy Eltern-Portal state: No Eltern-Portal job or already migrated');
+    return;
+  }
+  STATE[name] = {...STATE.ep, lastSuccessfulRun: STATE.lastSuccessfulRun || 0};
+  delete STATE.ep;
+  delete STATE.lastSuccessfulRun;
+  LOG.info(`Migrated legacy Eltern-Portal state to job "${name}"`);
 }
 
 function processFlags(flags) {
-  // Flags override values in config file.
-  // TODO: Adapt to jobs.
-  if (elternPortalConfigured()) { // section may be absent
-    CONFIG.elternportal.pass = flags.ep_password || CONFIG.elternportal.pass || process.env.EP_PASSWORD;
+  // Flags override values in config file. The Eltern-Portal password applies to all such jobs.
+  for (const config of elternPortalJobConfigs()) {
+    config.pass = flags.ep_password || config.pass || process.env.EP_PASSWORD;
   }
   if (schulmanagerConfigured()) { // section may be absent
     CONFIG.schulmanager.pass = flags.sm_password || CONFIG.schulmanager.pass || process.env.SM_PASSWORD;
@@ -168,15 +274,60 @@ function createIncomingEmailRegExp() {
         '(?:^|<)' 
         + CONFIG.options.incomingEmail.forwardingAddress
             .replace(/\./g, '\\.')
-            .replace('@', '(?:\\+(\\d+))@') // tag is mandatory
+            // Tag is mandatory. It is the teacher ID, "krank" (sick note) or "klassenleitung",
+            // optionally prefixed with the job's forwardingTag and a hyphen.
+            .replace('@', '(?:\\+(?:([A-Za-z0-9_]+)-)?(\\d+|krank|klassenleitung))@')
         + '(?:$|>)';
   }
 }
 
+/**
+ * Checks job options that would otherwise fail late or not at all. Throws an error describing the
+ * first invalid option. Also compiles the "wakeOn" patterns to config.wakeOnRegEx.
+ */
+function validateJobConfigs() {
+  for (const [name, config] of Object.entries(CONFIG.jobs)) {
+    if (name === ADMIN_STATE_KEY) {
+      throw new Error(`Job name "${name}" is reserved`);
+    }
+    // Parts of split messages are prefixed with "[n/N] ", see splitMessage() in elternportal.js.
+    if (config.messageSizeLimit !== undefined
+        && !(Number.isInteger(config.messageSizeLimit) && config.messageSizeLimit > 8)) {
+      throw new Error(`Job "${name}": messageSizeLimit must be a number greater than 8, `
+          + `but is ${JSON.stringify(config.messageSizeLimit)}`);
+    }
+    if (config.wakeOn) {
+      config.wakeOnRegEx = {};
+      for (const field of ['from', 'subject']) {
+        const pattern = config.wakeOn[field];
+        if (!pattern) {
+          continue; // matches anything
+        }
+        try {
+          config.wakeOnRegEx[field] = new RegExp(pattern, 'i');
+        } catch (e) {
+          throw new Error(`Job "${name}": Invalid wakeOn.${field} pattern: ${e.message}`);
+        }
+      }
+    }
+  }
+}
+
 // ---------- Utilities ----------
 
-function elternPortalConfigured() {
-  return CONFIG.elternportal && !CONFIG.elternportal.url.startsWith('https://SCHOOL.');
+function elternPortalJobConfigs() {
+  return Object.values(CONFIG.jobs)
+      .filter(config => (config.system || '').toLowerCase() === 'elternportal');
+}
+
+/**
+ * Returns the names of active jobs that have messages to send, i.e. Eltern-Portal jobs with
+ * messages to teachers and Schulmanager jobs with messenger replies.
+ */
+function jobsWithOutbound() {
+  return Object.entries(CONFIG.jobs)
+      .filter(([_, config]) => config.active && ob.haveOutbound(config))
+      .map(([name]) => name);
 }
 
 function schulmanagerConfigured() {
@@ -210,7 +361,7 @@ async function sendEmails() {
   for (let i = 0; i < INBOUND.length; ++i) {
     const e = INBOUND[i];
     const recipients = e.email.to ? e.email.to : e.email.bcc;
-    if (CONFIG.options.mute || !recipients.length) {
+    if (CONFIG.options.mute || MUTED_BY_ADMIN || !recipients.length) {
       LOG.info('Skipping email "%s" to %s', e.email.subject, recipients);
       await e.ok();
       continue;
@@ -273,15 +424,11 @@ async function createImapClient() {
       .on('mailboxOpen', async () => {
         // This will run before the 'exists' handler below.
         LOG.debug('Mailbox opened, checking for new messages...');
-        if (!elternPortalConfigured() || await ep.processNewEmail()) {
-          awake();
-        }
+        await processNewEmailSerialized();
       })
       .on('exists', async (data) => {
         LOG.info('Received new message(s): %s', JSON.stringify(data));
-        if (!elternPortalConfigured() || await ep.processNewEmail()) {
-          awake();
-        }
+        await processNewEmailSerialized();
       })
       // Without an error handler, errors crash the entire NodeJS env!
       // Background: https://nodejs.dev/en/api/v19/events/
@@ -303,6 +450,53 @@ async function createImapClient() {
   return IMAP_CLIENT;
 }
 
+// Tail of the chain of processNewEmail() calls, see processNewEmailSerialized().
+let PROCESSING_EMAIL = Promise.resolve();
+
+/**
+ * Runs processNewEmail() after the previous call has completed. The IMAP event handlers may fire
+ * while a call is still waiting for the server, which could e.g. execute an admin command twice.
+ */
+function processNewEmailSerialized() {
+  PROCESSING_EMAIL = PROCESSING_EMAIL.then(processNewEmail).catch(e => {
+    LOG.error(`Failed to process new email: ${(e && e.stack) || e}`);
+  });
+  return PROCESSING_EMAIL;
+}
+
+/**
+ * Processes new emails and awakes the main loop for the jobs they concern: Jobs with messages to
+ * send, and jobs whose notification emails were received (see jobsForNotification()).
+ */
+async function processNewEmail() {
+  const { notifications, adminCommands } = await ob.processNewEmail();
+  if (await processAdminCommands(adminCommands)) {
+    awake();
+  }
+  const names = new Set([
+    ...notifications.flatMap(jobsForNotification), ...jobsWithOutbound()]);
+  if (names.size) {
+    awake([...names]);
+  }
+}
+
+/**
+ * Returns the names of the jobs to run for a notification email ({ from, subject }). These are the
+ * jobs whose "wakeOn" patterns match. If there are none, these are the jobs without "wakeOn", i.e.
+ * by default all jobs are run for any email.
+ */
+function jobsForNotification(notification) {
+  const matches = (regEx, text) => !regEx || regEx.test(text);
+  const active = Object.entries(CONFIG.jobs).filter(([, config]) => config.active);
+  const matching = active.filter(([, config]) => config.wakeOn
+      && matches(config.wakeOnRegEx.from, notification.from)
+      && matches(config.wakeOnRegEx.subject, notification.subject));
+  LOG.debug(`Notification "${notification.subject}" from ${notification.from} matches `
+      + `${matching.length ? matching.map(([name]) => name).join(', ') : 'no job'}`);
+  return (matching.length ? matching : active.filter(([, config]) => !config.wakeOn))
+      .map(([name]) => name);
+}
+
 /** 
  * Try to logout() gracefully. In some conditions (e.g. when an operation is in progress) this won't
  * work and we can only close(). 
@@ -327,6 +521,213 @@ async function disposeImapClient() {
   }
 }
 
+/**
+ * Deletes emails older than incomingEmail.retentionDays from the folders in incomingEmail.folders,
+ * but never from the inbox. This runs at most once a day. It uses a separate connection, so the
+ * main connection keeps listening on the inbox.
+ */
+async function purgeImapFolders() {
+  const days = CONFIG.options.incomingEmail.retentionDays;
+  const folders = [...new Set(Object.values(CONFIG.options.incomingEmail.folders || {}))]
+      .filter(folder => folder);
+  if (!days || !folders.length || NOW - LAST_IMAP_PURGE < 24 * 60 * 60 * 1000) {
+    return;
+  }
+  LAST_IMAP_PURGE = NOW;
+  const before = new Date(NOW - days * 24 * 60 * 60 * 1000);
+  const client = new ImapFlow(CONFIG.imap);
+  try {
+    await client.connect();
+    for (const folder of folders) {
+      let lock;
+      try {
+        lock = await client.getMailboxLock(folder);
+      } catch (e) {
+        LOG.debug(`Not purging IMAP folder ${folder}: ${e}`); // probably not yet created
+        continue;
+      }
+      try {
+        const uids = await client.search({ before: before }, { uid: true });
+        if (uids.length) {
+          await client.messageDelete(uids.join(), { uid: true });
+          LOG.info(`Deleted ${uids.length} email(s) older than ${days} days from ${folder}`);
+        }
+      } finally {
+        lock.release();
+      }
+    }
+    await client.logout();
+  } catch (e) {
+    LOG.warn(`Failed to purge IMAP folders: ${e}`);
+    client.close();
+  }
+}
+
+// ---------- Admin commands ----------
+
+/**
+ * Processes commands emailed by the adminAddress to the forwarding address with the tag "admin", as
+ * parsed emails. These were already verified and marked done by ob.processNewEmail(). The command
+ * is the subject, or the first line of the text if the subject is empty. Replies are sent right
+ * away (even when muted) because the main loop may be paused. Returns true if the main loop should
+ * be awake()-ned.
+ */
+async function processAdminCommands(parsedMessages) {
+  let wake = false;
+  for (const parsedMessage of parsedMessages) {
+    const command = (parsedMessage.subject || '').replace(/^\s*(re|aw):\s*/i, '').trim()
+        || (parsedMessage.text || '').trim().split('\n')[0].trim();
+    LOG.info(`Received admin command "${command}"`);
+    let reply;
+    try {
+      reply = executeAdminCommand(command);
+      wake ||= reply.wake;
+    } catch (e) {
+      reply = { text: `Fehler: ${e.message}\n\n${ADMIN_COMMAND_HELP}` };
+    }
+    try {
+      writeAdminState(true);
+    } catch (e) {
+      LOG.error(`Failed to write admin state: ${e}`);
+    }
+    await sendAdminReply(parsedMessage, reply.text);
+  }
+  return wake;
+}
+
+const ADMIN_COMMAND_HELP = 'Befehle:\n'
+    + 'status - Zeigt den aktuellen Status.\n'
+    + 'pause 2d - Pausiert alle Jobs für 2 Tage (auch m, h).\n'
+    + 'resume - Hebt pause und mute auf.\n'
+    + 'mute - Versendet keine Emails mehr (bis resume).\n'
+    + 'run now - Prüft sofort alle Jobs.\n'
+    + 'resend ABSCHNITT TT.MM.JJJJ - Sendet die Emails eines Abschnitts (z.B. letters, '
+    + 'announcements, threads, inquiries, news) erneut, die seit dem Datum gesendet wurden.';
+
+/**
+ * Executes an admin command. Returns { text, wake } with the text of the reply and whether the main
+ * loop should be awake()-ned. Throws an error with a message in German for invalid commands.
+ */
+function executeAdminCommand(command) {
+  const [verb, ...args] = command.toLowerCase().split(/\s+/);
+  switch (verb) {
+    case 'status':
+      return { text: buildStatusText(), wake: false };
+    case 'pause': {
+      const m = (args[0] || '').match(/^(\d+)(m|h|d)$/);
+      if (!m) {
+        throw new Error(`Ungültige Dauer "${args[0] || ''}".`);
+      }
+      PAUSED_UNTIL = Date.now() + m[1] * { m: 60, h: 3600, d: 86400 }[m[2]] * 1000;
+      return { text: `Pausiert bis ${formatTimestamp(PAUSED_UNTIL)}.`, wake: false };
+    }
+    case 'resume':
+      PAUSED_UNTIL = 0;
+      MUTED_BY_ADMIN = false;
+      return { text: 'Normaler Betrieb wird fortgesetzt.', wake: true };
+    case 'mute':
+      MUTED_BY_ADMIN = true;
+      return { text: 'Es werden keine Emails mehr versendet (bis "resume").', wake: false };
+    case 'run':
+      if (args[0] !== 'now') {
+        throw new Error(`Unbekannter Befehl "${command}".`);
+      }
+      return {
+        text: PAUSED_UNTIL > Date.now()
+          ? `Pausiert bis ${formatTimestamp(PAUSED_UNTIL)}, bitte zuerst "resume" senden.`
+          : 'Prüfe jetzt alle Jobs.',
+        wake: true
+      };
+    case 'resend': {
+      const m = (args[1] || '').match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+      if (!args[0] || !m) {
+        throw new Error(
+            'Abschnitt oder Datum fehlt oder ungültig, z.B. "resend letters 01.03.2025".');
+      }
+      PENDING_RESENDS.push({ section: args[0], since: new Date(m[3], m[2] - 1, m[1]).getTime() });
+      return {
+        text: `Emails aus "${args[0]}" seit ${args[1]} werden beim nächsten Durchlauf erneut `
+          + 'gesendet, sofern sie noch online sind.',
+        wake: true
+      };
+    }
+  }
+  throw new Error(`Unbekannter Befehl "${command}".`);
+}
+
+function formatTimestamp(ts) {
+  return ts ? new Date(ts).toLocaleString('de-DE') : 'nie';
+}
+
+function buildStatusText() {
+  const lines = [
+    USER_AGENT,
+    `Letzter erfolgreicher Durchlauf: ${formatTimestamp(LAST_SUCCESSFUL_RUN)}`,
+    `Pausiert: ${PAUSED_UNTIL > Date.now() ? `bis ${formatTimestamp(PAUSED_UNTIL)}` : 'nein'}`,
+    `Stumm: ${CONFIG.options.mute || MUTED_BY_ADMIN ? 'ja' : 'nein'}`,
+    `Ausstehende Nachrichten: ${ob.haveOutbound() ? 'ja' : 'nein'}`,
+    '',
+    'Jobs:'
+  ];
+  for (const [name, config] of Object.entries(CONFIG.jobs)) {
+    const state = STATE[name] || {};
+    lines.push(`${name} (${config.system}): ${config.active ? 'aktiv' : 'inaktiv'}`
+        + (state.lastSuccessfulRun ? `, zuletzt ${formatTimestamp(state.lastSuccessfulRun)}` : ''));
+  }
+  return lines.join('\n');
+}
+
+/** Sends a reply to an admin command right away, threaded to the command. */
+async function sendAdminReply(parsedMessage, text) {
+  const email = em.buildEmailAdmin(`Re: ${parsedMessage.subject || 'Befehl'}`, { text: text });
+  if (parsedMessage.messageId) {
+    email.inReplyTo = parsedMessage.messageId;
+    email.references = [parsedMessage.messageId];
+  }
+  try {
+    await nodemailer.createTransport(CONFIG.smtp).sendMail(email);
+  } catch (e) {
+    LOG.error(`Failed to send reply to admin command: ${e}`);
+  }
+}
+
+/**
+ * Applies PENDING_RESENDS by removing emailed items from the state, so they are emailed again. The
+ * section is a key in the state of any job (e.g. "letters"). Only items emailed since the specified
+ * time are removed, which requires their state value to be the time emailed.
+ */
+function applyResends() {
+  const removeSince = (items, since) => {
+    let n = 0;
+    for (const [key, value] of Object.entries(items)) {
+      if (value && typeof value === 'object') {
+        n += removeSince(value, since); // e.g. messages in threads
+      } else if (typeof value === 'number' && value >= since) {
+        delete items[key];
+        ++n;
+      }
+    }
+    return n;
+  };
+  for (const { section, since } of PENDING_RESENDS) {
+    let n = 0;
+    for (const state of Object.values(STATE)) {
+      const items = state[section];
+      if (items && typeof items === 'object' && !Array.isArray(items)) {
+        const removed = removeSince(items, since);
+        // Items below a high-water mark (see schulmanager.js) are considered processed, so the
+        // section must be read in full again.
+        if (removed && state.highWater) {
+          delete state.highWater[section];
+        }
+        n += removed;
+      }
+    }
+    LOG.info(`Resending ${n} item(s) in "${section}" since ${new Date(since).toISOString()}`);
+  }
+  PENDING_RESENDS = [];
+}
+
 // ---------- Main ----------
 
 async function maybeStartOrCheckImap() {
@@ -381,15 +782,30 @@ async function main() {
   readConfigFile(flags);
   logging.initialize(); // as early as possible
   LOG.info(LOG_STARTUP_MESSAGE);
+  if (CONFIG.elternportal) {
+    LOG.warn('Config section "elternportal" is deprecated, please convert it to a job');
+  }
+  try {
+    validateJobConfigs();
+  } catch (e) {
+    LOG.error(`Invalid config: ${e.message}`);
+    return 1; // Retrying won't help.
+  }
 
   await maybeStartStatusServer();
 
+  // Resume outbound messages from before a restart. This must happen before IMAP is started to
+  // recognize emails already in the journal.
+  ob.readOutbound(flags.outbound);
+  readAdminState(flags);
+
   while (true) {
     if (SIGTERM_RECEIVED) {
       return 0;
     }
     
     readState(flags);
+    applyResends();
 
     // Launch Puppeteer. On the Raspberry Pi the browser executable is typically named
     // "chromium-browser", which must be specified. Desktop Linux or Windows don't need this.
@@ -407,12 +823,21 @@ async function main() {
     // TODO: Warn user about "longer" issues (#65).
 
     // IMAP occasionally fails (for me), so we check the connection in each iteration.
-    await maybeStartOrCheckImap();
+    if (await maybeStartOrCheckImap() && CONFIG.options.incomingEmail.enabled) {
+      await purgeImapFolders();
+    }
 
     const tmpDir = getTmpDir();
     let allOK = true;
+    const paused = NOW < PAUSED_UNTIL;
+    if (paused) {
+      LOG.info(`Paused until ${new Date(PAUSED_UNTIL).toISOString()}, skipping all jobs`);
+    }
+    // Messages to send may have been received while we were busy.
+    const jobFilter = WAKE_JOBS && new Set([...WAKE_JOBS, ...jobsWithOutbound()]);
+    WAKE_JOBS = null;
     for (const [name, config] of Object.entries(CONFIG.jobs)) {
-      if (!config.active) {
+      if (!config.active || paused || (jobFilter && !jobFilter.has(name))) {
         continue;
       }
       LOG.info(`Processing job "${name}"`);
@@ -435,10 +860,7 @@ async function main() {
             await new is.IsySchule(config, state, page, tmpDir).process();
             break;
           case 'elternportal':
-            if (CONFIG.elternportal.timeoutSeconds) {
-              page.setDefaultTimeout(timeoutSeconds * 1000);
-            }
-            await ep.processElternPortal(page, STATE); 
+            await new ep.ElternPortal(config, state, page).process();
             break;
           default:
             throw new Error(`Unknown system: ${config.system}`)
@@ -460,6 +882,7 @@ async function main() {
       INBOUND = em.createTestEmail(INBOUND.length, allOK); // Replace with exactly one test email.
     }
     await sendEmails();
+    writeAdminState(false);
     if (!CONFIG.options.test) {
       fs.writeFileSync(flags.state, JSON.stringify(STATE, null, 2));
     }
@@ -468,7 +891,7 @@ async function main() {
     // a Puppeteer error at this stage it shouldn't prevent either.
     await BROWSER.close();
     
-    if (allOK) {
+    if (allOK && !jobFilter) {
       LAST_SUCCESSFUL_RUN = Date.now();
     }
 
@@ -480,26 +903,41 @@ async function main() {
       return 0;
     }
 
-    // Wait until timeout or email received. The email may or may not be a "new message" 
-    // notification. We don't care and do the next iteration unconditionally.
+    // Wait until timeout or email received. The email may or may not be a "new message"
+    // notification. If it was classified as a notification for certain jobs (see
+    // jobsForNotification()), only these are run in the next iteration.
+    let timeoutId = null;
     await new Promise((resolve) => {
-      awake = function() {
-        LOG.info('Awakening main loop');
+      WAKE_JOBS = new Set();
+      awake = function(jobNames) {
+        if (jobNames) {
+          LOG.info(`Awakening main loop for job(s) ${jobNames.join(', ')}`);
+          jobNames.forEach(name => WAKE_JOBS && WAKE_JOBS.add(name));
+        } else {
+          LOG.info('Awakening main loop');
+          WAKE_JOBS = null;
+        }
         resolve();
       };
       // Only now can the IMAP receive event handler awake us. It could already have populated its
       // OUTBOUND and notified the previous Promise while the main loop was busy, so check for that.
-      if (ep.haveOutbound()) {
+      // The respective jobs are added above. While paused the jobs are skipped anyway, so we wait.
+      if (Date.now() >= PAUSED_UNTIL && jobsWithOutbound().length) {
         resolve();
       } else {
         LOG.debug(`Waiting ${CONFIG.options.checkIntervalMinutes} minutes until next check`);
-        setTimeout(resolve, CONFIG.options.checkIntervalMinutes * 60 * 1000);
+        timeoutId = setTimeout(() => {
+          WAKE_JOBS = null;
+          resolve();
+        }, CONFIG.options.checkIntervalMinutes * 60 * 1000);
       }
     });
+    clearTimeout(timeoutId);
   }
 };
 
-(async () => {
+/** Runs main() until it returns, retrying if it throws. */
+async function run() {
   while (true) {
     try {
       const retval = await main();
@@ -520,4 +958,11 @@ async function main() {
     LOG.info(`Waiting ${CONFIG.options.smtpWaitSeconds} seconds (SMTP wait time) before retry`);
     await sleepSeconds(CONFIG.options.smtpWaitSeconds);
   }
-})();
+}
+
+// Tests require this file for the functions below without running it.
+if (require.main === module) {
+  run();
+}
+
+module.exports = { handleStatusRequest, jobsForNotification, validateJobConfigs };
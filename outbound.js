@@ -0,0 +1,831 @@
+const fs = require('fs-extra');
+const md5 = require('md5');
+const { simpleParser } = require('mailparser');
+
+const em = require('./email.js');
+const vf = require('./verify.js');
+
+// Messages from parents to teachers (or to the school), received via IMAP and posted on the portal
+// by the job they are intended for. This is shared by the Eltern-Portal and Schulmanager jobs.
+
+// ---------- Shared state (initialized in main.js) ----------
+
+// global.LOG (see logging.js)
+// global.CONFIG (see main.js)
+// global.INBOUND (see main.js)
+// global.NOW (see main.js)
+// global.IMAP_CLIENT (see main.js)
+
+// ---------- Internal constants ----------
+
+// Tag of the forwarding address for sick notes (instead of a teacher ID).
+const SICK_NOTE_TAG = 'krank';
+
+// Tag of the forwarding address for inquiries to the Klassenleitung (instead of a teacher ID).
+const INQUIRY_TAG = 'klassenleitung';
+
+// Message-ID of Schulmanager emails that can be replied to (cf. schulmanager.js), i.e. messenger
+// messages and letters that require a response, without the domain part added by
+// em.buildMessageId(). Replies to these emails are identified by their In-Reply-To. The groups are
+// the outbound type (cf. OUTBOUND), the account (see schulmanagerAccount()) and the conversation or
+// letter ID.
+const SCHULMANAGER_MESSAGE_ID_PATTERN = /^<?(messenger|letter)-([0-9a-f]+)-([A-Za-z0-9]+)[-.]/;
+
+// Message-ID of Eltern-Portal thread messages (cf. elternportal.js), without the domain part added
+// by em.buildMessageId(). The groups are the account (see elternPortalAccount(); absent in
+// Message-IDs of older versions), the teacher ID and the thread ID. The last number is the index of
+// the message within the thread.
+const THREAD_MESSAGE_ID_PATTERN = /^<?thread-(?:([0-9a-f]+)-)?(\d+)-(\d+)-\d+\./;
+
+// Target of an incoming email in the format of the subaddress tag (cf. createIncomingEmailRegExp()
+// in main.js), i.e. a teacher ID, SICK_NOTE_TAG or INQUIRY_TAG, optionally prefixed with the job's
+// forwardingTag and a hyphen. This is also the format of the values in incomingEmail.aliases.
+const TARGET_PATTERN = /^(?:([A-Za-z0-9_]+)-)?(\d+|krank|klassenleitung)$/;
+
+// Alternative to the subaddress tag in the subject of emails to the plain forwarding address, e.g.
+// "[L123]" for teacher 123, "[theo-L123]" for the same via the job with forwardingTag "theo", or
+// "[krank]".
+const SUBJECT_TAG_PATTERN = /\[(?:([A-Za-z0-9_]+)-)?(L\d+|krank|klassenleitung)\]\s*/i;
+
+// Template sent to the user when a sick note can't be parsed.
+const SICK_NOTE_TEMPLATE =
+    'Kind: Vorname (nur bei mehreren Kindern)\n'
+    + 'Von: TT.MM.JJJJ (oder "heute", "morgen")\n'
+    + 'Bis: TT.MM.JJJJ (optional, sonst nur ein Tag)\n'
+    + 'Grund: Freitext (optional, weitere Zeilen werden angehängt)';
+
+// States of outbound messages (see OUTBOUND). "posting" means that we clicked the send button for
+// the part following the "partsPosted" ones, but don't know yet whether that succeeded.
+const OUTBOUND_STATES = ['received', 'marked', 'posting', 'posted'];
+
+// Quoted emails in replies typically start with "On <date>, <sender> wrote:" or similar.
+const REPLY_HEADER_PATTERN = /^\s*(on\s.*\swrote|am\s.*\sschrieb\b.*):\s*$/i;
+
+// Lines that start the part of a reply that stripReplyText() removes, i.e. everything the sender
+// didn't write in this email.
+const REPLY_CUT_PATTERNS = [
+  REPLY_HEADER_PATTERN,
+  /^--\s?$/, // signature delimiter ("-- ", though often stripped to "--")
+  /^\s*-{2,}\s*(original message|ursprüngliche nachricht)\s*-{2,}\s*$/i,
+  /^\s*-{2,}\s*(forwarded message|weitergeleitete nachricht)\s*-{2,}\s*$/i,
+  /^\s*(begin forwarded message|anfang der weitergeleiteten nachricht):\s*$/i,
+  /^\s*(sent from my|von meinem\s.*\sgesendet|gesendet von meinem)\b/i // mobile footers
+];
+
+// ---------- Internal state ----------
+
+//  Outbound messages are intended for teachers. They are received asynchronously via IMAP and
+//  posted on the portal. Before actually sending, the original email that triggered the message is
+//  marked as answered in IMAP to avoid duplicate messages to teachers in case of errors (e.g. when
+//  the message to the teacher is sent, but the email in the IMAP inbox cannot be marked processed).
+//  On the upside the IMAP flag will persist across reinstalls or deletion of the status file.
+//  Messages for all Eltern-Portal jobs are kept here. Each job picks those with its forwardingTag.
+//  Besides messages to teachers (type "teacher") this also holds sick notes (type "sicknote") and
+//  inquiries to the Klassenleitung (type "inquiry"). Replies to Schulmanager messenger
+//  conversations (type "messenger") and responses to Schulmanager letters (type "letter") are kept
+//  here as well and picked by the Schulmanager job with the matching account instead.
+//  This list is journaled to OUTBOUND_FILE on every change, so that messages survive a crash or
+//  restart. Each message has a state (cf. OUTBOUND_STATES) and the number of parts posted so far.
+//  Messages are removed when done, successfully or not.
+let OUTBOUND = [];
+
+// Path of the outbound journal (see above). Set by readOutbound().
+let OUTBOUND_FILE = null;
+
+// IMAP folders known to exist (see moveEmails()). Key: folder; value: 1
+const IMAP_FOLDERS = {};
+
+// ---------- Utilities ----------
+
+/** Returns true if there are outbound messages for the specified job, or for any job. */
+function haveOutbound(config) {
+  return OUTBOUND.some(msg => !config || outboundJobConfig(msg) === config);
+}
+
+/**
+ * Returns the config of the active job that processes the outbound message, i.e. the Eltern-Portal
+ * job with its forwardingTag or, for Schulmanager replies, the Schulmanager job with its account.
+ */
+function outboundJobConfig(msg) {
+  return Object.values(CONFIG.jobs || {}).find(c => c.active && (msg.account
+      ? (c.system || '').toLowerCase() === 'schulmanager' && schulmanagerAccount(c) === msg.account
+      : (c.system || '').toLowerCase() === 'elternportal'
+          && (c.forwardingTag || '') === msg.forwardingTag));
+}
+
+/**
+ * Returns the outbound messages of the specified type (e.g. "teacher" or "messenger") for the
+ * specified job. They remain in OUTBOUND (and thus the journal) until passed to removeOutbound().
+ */
+function takeOutbound(config, type) {
+  return OUTBOUND.filter(msg => msg.type === type && outboundJobConfig(msg) === config);
+}
+
+/**
+ * Returns a short ID for a Schulmanager account, used in Message-IDs to find the job that posts
+ * replies (cf. SCHULMANAGER_MESSAGE_ID_PATTERN).
+ */
+function schulmanagerAccount(config) {
+  return md5((config.user || '').toLowerCase()).substring(0, 8);
+}
+
+/**
+ * Returns a short ID for an Eltern-Portal account, used in Message-IDs to keep them unique across
+ * schools and to find the job that posts replies (cf. THREAD_MESSAGE_ID_PATTERN).
+ */
+function elternPortalAccount(config) {
+  return md5(`${config.url || ''}\n${config.user || ''}`.toLowerCase()).substring(0, 8);
+}
+
+/** Returns a short German description of an outbound message, for error reports. */
+function describeOutbound(msg) {
+  switch (msg.type) {
+    case 'teacher':
+      return `Nachricht an Lehrer ${msg.teacherId}`;
+    case 'inquiry':
+      return 'Nachricht an Klassenleitung';
+    case 'sicknote':
+      return `Krankmeldung für ${msg.from} - ${msg.until}`;
+    case 'messenger':
+      return `Messenger-Nachricht (Unterhaltung ${msg.conversationId})`;
+    case 'letter':
+      return `Rückmeldung zu Elternbrief ${msg.letterId}`;
+  }
+  return msg.type; // Should never happen.
+}
+
+/** Returns the configs of all active Eltern-Portal jobs. */
+function activeJobConfigs() {
+  return Object.values(CONFIG.jobs || {})
+      .filter(c => c.active && (c.system || '').toLowerCase() === 'elternportal');
+}
+
+/**
+ * Returns the address for emails to the specified target (teacher ID, SICK_NOTE_TAG or INQUIRY_TAG)
+ * via the specified job. This is the alias if one is configured, else the forwarding address with
+ * the target as a subaddress tag, or without any tag if subject tags are used instead.
+ */
+function buildForwardingAddress(config, target) {
+  const tag = `${config.forwardingTag ? `${config.forwardingTag}-` : ''}${target}`;
+  const incomingEmail = CONFIG.options.incomingEmail;
+  const alias = Object.entries(incomingEmail.aliases || {}).find(([, t]) => t === tag);
+  if (alias) {
+    return alias[0];
+  }
+  if (incomingEmail.useSubjectTags) {
+    return incomingEmail.forwardingAddress;
+  }
+  return incomingEmail.forwardingAddress.replace('@', `+${tag}@`);
+}
+
+/**
+ * Returns the subject tag (cf. SUBJECT_TAG_PATTERN) followed by a space, if emails to the target
+ * require one because buildForwardingAddress() returns the plain forwarding address. Else returns
+ * an empty string.
+ */
+function buildSubjectTag(config, target) {
+  if (buildForwardingAddress(config, target) !== CONFIG.options.incomingEmail.forwardingAddress) {
+    return '';
+  }
+  const prefix = config.forwardingTag ? `${config.forwardingTag}-` : '';
+  return `[${prefix}${/^\d+$/.test(target) ? 'L' : ''}${target}] `;
+}
+
+/**
+ * Returns [forwardingTag, target] for the recipient of an incoming email (cf. TARGET_PATTERN), or
+ * null if the email isn't intended for forwarding via this recipient. Besides the forwarding
+ * address with a subaddress tag we support aliases and, for the plain forwarding address, a tag in
+ * the subject or a reply to a thread with a teacher (see parseThreadReply()).
+ */
+function parseRecipient(address, subject, reply) {
+  const incomingEmail = CONFIG.options.incomingEmail;
+  let m = address.match(incomingEmail.regEx);
+  if (m) {
+    return [m[1] || '', m[2]];
+  }
+  const alias = Object.entries(incomingEmail.aliases || {})
+      .find(([a]) => a.toLowerCase() === address.toLowerCase());
+  if (alias) {
+    m = alias[1].match(TARGET_PATTERN);
+    if (!m) {
+      LOG.warn(`Invalid target "${alias[1]}" for alias "${alias[0]}"`);
+      return null;
+    }
+    return [m[1] || '', m[2]];
+  }
+  // The plain forwarding address also receives notifications from the portal, which don't match
+  // any of the below.
+  if (address.toLowerCase() !== incomingEmail.forwardingAddress.toLowerCase()) {
+    return null;
+  }
+  m = (subject || '').match(SUBJECT_TAG_PATTERN);
+  if (m) {
+    return [m[1] || '', m[2].replace(/^L/i, '').toLowerCase()];
+  }
+  if (reply) {
+    return [reply.forwardingTag || '', reply.teacherId];
+  }
+  return null;
+}
+
+/**
+ * Returns { forwardingTag, teacherId, threadId } if the In-Reply-To header refers to an
+ * Eltern-Portal thread message of an active job, else null. Message-IDs of older versions don't
+ * include the account, for these the forwardingTag is null (i.e. unknown).
+ */
+function parseThreadReply(inReplyTo) {
+  const m = (inReplyTo || '').match(THREAD_MESSAGE_ID_PATTERN);
+  if (!m) {
+    return null;
+  }
+  if (!m[1]) {
+    return { forwardingTag: null, teacherId: m[2], threadId: m[3] };
+  }
+  const config = activeJobConfigs().find(c => elternPortalAccount(c) === m[1]);
+  if (!config) {
+    LOG.warn(`No active Eltern-Portal job for reply to "${inReplyTo}"`);
+    return null;
+  }
+  return { forwardingTag: config.forwardingTag || '', teacherId: m[2], threadId: m[3] };
+}
+
+/**
+ * Removes quoted text, forwarded messages and signatures that email clients add to replies. Only
+ * what the sender actually wrote is posted to the portal. If nothing remains, e.g. because the
+ * sender only forwarded an email, the text is returned unchanged.
+ */
+function stripReplyText(text) {
+  const lines = text.split(/\r?\n/);
+  let end = lines.findIndex((line, i) => REPLY_CUT_PATTERNS.some(p => p.test(line))
+      // Some clients wrap long "On ... wrote:" lines.
+      || (i + 1 < lines.length && REPLY_HEADER_PATTERN.test(`${line} ${lines[i + 1]}`))
+      // Outlook starts quoted emails with a header block, e.g. "From: ..." and "Sent: ...".
+      || (/^\s*(from|von):\s/i.test(line)
+          && lines.slice(i + 1, i + 4).some(l => /^\s*(sent|date|gesendet|datum):\s/i.test(l))));
+  if (end < 0) {
+    end = lines.length;
+  }
+  const stripped = lines.slice(0, end)
+      .filter(line => !line.startsWith('>')) // inline quotes
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  return stripped || text.trim();
+}
+
+/** Parses a date "dd.mm.yyyy", "dd.mm.yy", "dd.mm.", "heute" or "morgen". Returns null on error. */
+function parseDate(s) {
+  const today = new Date(NOW);
+  today.setHours(0, 0, 0, 0);
+  s = s.trim().toLowerCase();
+  if (s === 'heute' || s === 'morgen') {
+    return new Date(today.setDate(today.getDate() + (s === 'morgen' ? 1 : 0)));
+  }
+  const d = s.match(/^(\d\d?)\.(\d\d?)\.(\d\d(?:\d\d)?)?$/);
+  if (!d) {
+    return null;
+  }
+  const year = !d[3] ? today.getFullYear() : (d[3].length == 2 ? 2000 + parseInt(d[3]) : d[3]);
+  const date = new Date(year, d[2] - 1, d[1]);
+  // Reject overflowing values like 31.02.
+  return date.getDate() == d[1] && date.getMonth() == d[2] - 1 ? date : null;
+}
+
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()}`;
+}
+
+/**
+ * Parses the body of a sick note email (see SICK_NOTE_TEMPLATE). Returns an object with fields
+ * child, from, until (both Date) and reason. Throws an error message (in German, since it is sent
+ * to the user) if the body is invalid.
+ */
+function parseSickNote(text) {
+  const fields = {kind: '', von: '', bis: '', grund: ''};
+  for (const line of text.split('\n')) {
+    const m = line.match(/^\s*(kind|von|bis|grund)\s*:(.*)$/i);
+    if (m) {
+      fields[m[1].toLowerCase()] = m[2].trim();
+    } else if (line.trim()) {
+      fields.grund += `${fields.grund ? '\n' : ''}${line.trim()}`;
+    }
+  }
+  if (!fields.von) {
+    throw 'Das Feld "Von:" fehlt.';
+  }
+  const from = parseDate(fields.von);
+  if (!from) {
+    throw `Ungültiges Datum "Von: ${fields.von}".`;
+  }
+  const until = fields.bis ? parseDate(fields.bis) : from;
+  if (!until) {
+    throw `Ungültiges Datum "Bis: ${fields.bis}".`;
+  }
+  if (until < from) {
+    throw `"Bis: ${fields.bis}" liegt vor "Von: ${fields.von}".`;
+  }
+  return {child: fields.kind, from: from, until: until, reason: fields.grund};
+}
+
+/**
+ * Builds a reply to an incoming email, sent back to its sender. The reply is threaded to the
+ * original email.
+ */
+function buildEmailReply(config, original, what, options) {
+  const email = em.buildEmail(
+      `${config.tag} ${what}`,
+      [original.from],
+      `Re: ${(original.subject || '').trim() || what}`,
+      options);
+  if (original.messageId) {
+    email.inReplyTo = original.messageId;
+    email.references = [original.messageId];
+  }
+  return email;
+}
+
+/**
+ * Returns what buildEmailReply() needs to know about an incoming email. Unlike the parsed message
+ * this can be journaled.
+ */
+function replyInfo(parsedMessage) {
+  return {
+    from: parsedMessage.from.value[0].address,
+    subject: parsedMessage.subject,
+    messageId: parsedMessage.messageId
+  };
+}
+
+// ---------- Outbound journal ----------
+
+/**
+ * Reads the outbound journal written before the last shutdown or crash and resumes its messages.
+ * Messages that were being posted when we stopped may or may not have been posted. To never post
+ * twice we drop these and report them to the admin instead.
+ */
+function readOutbound(file) {
+  OUTBOUND_FILE = file;
+  OUTBOUND = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : [];
+  for (const msg of OUTBOUND.filter(m => m.state === 'posting')) {
+    LOG.error(`Dropping interrupted outbound message (part ${msg.partsPosted + 1}): `
+        + describeOutbound(msg));
+    INBOUND.push({
+      email: em.buildEmailAdmin(
+        'Nachrichtenversand unterbrochen',
+        {
+          text: `${describeOutbound(msg)} wurde beim Senden von Teil ${msg.partsPosted + 1} `
+            + `unterbrochen. Bitte auf der Website prüfen, ob dieser Teil angekommen ist. Weitere `
+            + `Teile wurden nicht gesendet.\n\nText:\n${msg.text || msg.reason || ''}`
+        }),
+      ok: () => {}
+    });
+    const config = outboundJobConfig(msg);
+    if (config && msg.replyTo) {
+      INBOUND.push({
+        email: buildEmailReply(config, msg.replyTo, describeOutbound(msg), {
+          text: `${describeOutbound(msg)} wurde beim Senden unterbrochen und möglicherweise nicht `
+            + `(vollständig) gesendet. Bitte auf der Website prüfen.`
+        }),
+        ok: () => {}
+      });
+    }
+  }
+  // Messages for jobs that were removed or deactivated would never be processed.
+  const orphans = OUTBOUND.filter(m => m.state !== 'posting' && !outboundJobConfig(m));
+  for (const msg of orphans) {
+    LOG.error(`Dropping outbound message without active job: ${describeOutbound(msg)}`);
+    INBOUND.push({
+      email: em.buildEmailAdmin(
+        'Nachrichtenversand abgebrochen',
+        {
+          text: `${describeOutbound(msg)} wurde nicht gesendet, weil kein aktiver Job dafür `
+            + `konfiguriert ist. Gesendete Teile: ${msg.partsPosted}.\n\n`
+            + `Text:\n${msg.text || msg.reason || ''}`
+        }),
+      ok: () => {}
+    });
+  }
+  const numJournaled = OUTBOUND.length;
+  OUTBOUND = OUTBOUND.filter(m => m.state !== 'posting' && !orphans.includes(m));
+  if (OUTBOUND.length) {
+    LOG.info(`Resuming ${OUTBOUND.length} outbound message(s) from ${file}`);
+  }
+  if (OUTBOUND.length != numJournaled) {
+    writeOutbound();
+  }
+}
+
+/** Writes OUTBOUND to the journal. Renaming makes this atomic, so a crash can't corrupt it. */
+function writeOutbound() {
+  if (!OUTBOUND_FILE) {
+    return;
+  }
+  const tmpFile = `${OUTBOUND_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(OUTBOUND, null, 2));
+  fs.renameSync(tmpFile, OUTBOUND_FILE);
+}
+
+/** Adds a newly received message to OUTBOUND. */
+function addOutbound(msg) {
+  OUTBOUND.push({...msg, state: 'received', partsPosted: 0});
+  writeOutbound();
+}
+
+/** Updates the state (cf. OUTBOUND_STATES) of an outbound message and journals it. */
+function setOutboundState(msg, state) {
+  if (!OUTBOUND_STATES.includes(state)) {
+    throw new Error(`Invalid outbound state: ${state}`);
+  }
+  msg.state = state;
+  if (state === 'posted') {
+    ++msg.partsPosted;
+  }
+  writeOutbound();
+}
+
+/** Removes an outbound message from OUTBOUND when it is done, successfully or not. */
+function removeOutbound(msg) {
+  OUTBOUND = OUTBOUND.filter(m => m !== msg);
+  writeOutbound();
+}
+
+/**
+ * Marks the email that triggered an outbound message done, unless that already happened (e.g.
+ * before a restart).
+ */
+async function markOutboundEmailDone(msg) {
+  if (msg.state === 'received') {
+    await markEmailDone(msg.uid);
+    setOutboundState(msg, 'marked');
+  }
+}
+
+// ---------- Incoming email ----------
+
+// Returns { notifications, adminCommands }. The notifications are the new emails that are not
+// intended for forwarding, i.e. presumably notifications from the portals, as a list of { from,
+// subject }. The caller decides which jobs to run for them (see wakeOn in main.js). We don't
+// distinguish between new content notifications and other messages, e.g. sick leave confirmation.
+// An occasional false positive is OK. The admin commands are the parsed emails from the verified
+// adminAddress to the forwarding address with the tag "admin" (see processAdminCommands() in
+// main.js). Each email is classified once, so it can't be mistaken for another kind in between.
+// We use the "answered" flag, which is part of the IMAP standard, to mark messages done. Optionally
+// we also move them to a folder (see moveEmails()).
+async function processNewEmail() {
+  // Collect messages not intended for forwarding to teachers. These are marked processed to hide
+  // them in the next query. They only trigger a scraping iteration. Key is IMAP UID, value is the
+  // category for moveEmails(). We don't use sequence numbers because moving messages (e.g. in
+  // markEmailDone() while we are running) changes them.
+  const ignoredMessages = {};
+  const notifications = {}; // key: IMAP UID; value: { from, subject }
+  const adminCommands = []; // parsed emails
+  let numNewMessages = 0;
+
+  // UIDs (unlike sequence numbers) remain valid across sessions, which we need for journaled
+  // outbound messages.
+  for await (let message of IMAP_CLIENT.fetch({answered: false}, { source: true, uid: true })) {
+    ++numNewMessages;
+    // This is removed if we found something to process, i.e. registered a success handler that
+    // will mark the message processed.
+    ignoredMessages[message.uid] = 'notifications';
+    const parsedMessage = await simpleParser(message.source);
+    notifications[message.uid] = {
+      from: parsedMessage.from ? parsedMessage.from.text : '',
+      subject: parsedMessage.subject || ''
+    };
+    // If no incoming email address is set up, there is nothing to do except mark new messages.
+    if (!CONFIG.options.incomingEmail.regEx) {
+      continue;
+    }
+
+    if (isAdminCommand(parsedMessage)) {
+      if (await verifyAdminCommand(message, parsedMessage)) {
+        ignoredMessages[message.uid] = 'teachers'; // The category for emails from parents.
+        adminCommands.push(parsedMessage);
+      } else {
+        ignoredMessages[message.uid] = 'rejected';
+      }
+      continue;
+    }
+
+    // For replies we get the job, teacher ID and thread ID from the In-Reply-To header, and we
+    // don't need a subject. Other teachers may be among the recipients though, for these a new
+    // thread is created.
+    const reply = parseThreadReply(parsedMessage.inReplyTo);
+
+    const recipients = [].concat(
+        parsedMessage.to ? parsedMessage.to.value : [],
+        // The portal doesn't support the concept of multiple recipients, but we do. We treat To:
+        // and Cc: the same.
+        parsedMessage.cc ? parsedMessage.cc.value : [])
+        // The user may have set up forwarding from some easy-to-guess address (e.g. the one
+        // initially registered with the portal), exposing the address to spam or pranks. To be safe
+        // we check for the secret, hard-to-guess address.
+        .filter(value => value.address
+            && parseRecipient(value.address, parsedMessage.subject, reply));
+
+    // Replies to Schulmanager emails go to the plain forwarding address.
+    const schulmanagerReply = (parsedMessage.inReplyTo || '').match(SCHULMANAGER_MESSAGE_ID_PATTERN)
+        && [].concat(parsedMessage.to ? parsedMessage.to.value : [],
+            parsedMessage.cc ? parsedMessage.cc.value : [])
+            .some(value => (value.address || '').toLowerCase()
+                === CONFIG.options.incomingEmail.forwardingAddress.toLowerCase());
+
+    if (!recipients.length && !schulmanagerReply) {
+      continue; // The message isn't intended for a teacher.
+    }
+
+    // Prevent (likely accidental) impersonation by allowing only known senders in the From:.
+    let rejectedFrom = null;
+    let rejectReason = 'Absender nicht in allowForwardingFrom.';
+    if (!parsedMessage.from || !parsedMessage.from.value.length) { // never allowed
+      rejectedFrom = '';
+    } else if (!CONFIG.options.incomingEmail.allowForwardingFrom.includes( // maybe not allowed
+      // Assume just one element in the From: header, for simplicity.
+      parsedMessage.from.value[0].address.toLowerCase())) {
+      rejectedFrom = parsedMessage.from.text;
+    } else {
+      // Optionally prevent deliberate impersonation by verifying a signature.
+      try {
+        await vf.verifySender(
+            message.source, parsedMessage.from.value[0].address.toLowerCase());
+      } catch (e) {
+        rejectedFrom = parsedMessage.from.text;
+        rejectReason = `Absender nicht verifiziert: ${e}`;
+      }
+    }
+    if (rejectedFrom !== null) {
+      LOG.warn(`Rejecting incoming email from "${rejectedFrom}": ${rejectReason}`);
+      ignoredMessages[message.uid] = 'rejected';
+      INBOUND.push({
+        email: em.buildEmailAdmin(
+          'Nachricht von fremdem Absender ignoriert',
+          {
+            text: `Nachricht von "${rejectedFrom}" an ` +
+              `${CONFIG.options.incomingEmail.forwardingAddress} wurde ignoriert.\n\n` +
+              `Grund: ${rejectReason}\n\n` +
+              'ACHTUNG: Diese Adresse sollte nicht veröffentlicht werden!'
+          }),
+        ok: () => {}
+      });
+      continue;
+    }
+
+    if (schulmanagerReply) {
+      if (processSchulmanagerReply(message, parsedMessage)) {
+        delete ignoredMessages[message.uid]; // It will be marked done when posted.
+      } else {
+        ignoredMessages[message.uid] = 'teachers'; // It's still from a parent.
+      }
+    }
+
+    for (const recipient of recipients) {
+      const [forwardingTag, teacherId] =
+          parseRecipient(recipient.address, parsedMessage.subject, reply);
+      if (!teacherId) { // This still allows testing with "0" because it's a string.
+        LOG.warn('Failed to parse recipient "%s"', recipient.address);
+        continue; // Should never happen because we filtered recipients above.
+      }
+      // The tag selects the Eltern-Portal job. At most one job may omit it.
+      const config = activeJobConfigs().find(c => (c.forwardingTag || '') === forwardingTag);
+      if (!config) {
+        LOG.warn('No active Eltern-Portal job for recipient "%s"', recipient.address);
+        continue;
+      }
+
+      // The email may have been received before a restart, in which case it's in the journal.
+      const id = `${parsedMessage.messageId || message.uid}|${recipient.address.toLowerCase()}`;
+      if (OUTBOUND.some(msg => msg.id === id)) {
+        LOG.info(`Email already queued for "${recipient.address}" (IMAP ID ${message.seq})`);
+        delete ignoredMessages[message.uid]; // It will be marked done when sent.
+        continue;
+      }
+
+      if (teacherId === SICK_NOTE_TAG) {
+        if (processSickNote(config, id, message, parsedMessage)) {
+          delete ignoredMessages[message.uid]; // It will be marked done when submitted.
+        } else {
+          ignoredMessages[message.uid] = 'teachers'; // It's still from a parent.
+        }
+        continue;
+      }
+
+      // We now know that the message has payload. It will be marked done when sent.
+      delete ignoredMessages[message.uid];
+
+      // Empty subject or body are not accepted by the portal. Messages without subject don't even
+      // have a "subject" field. Defensively, assume the same for the body even though I haven't
+      // verified that.
+      const subject =
+          (parsedMessage.subject || '').replace(SUBJECT_TAG_PATTERN, '').trim() || '(kein Betreff)';
+      const text = stripReplyText(parsedMessage.text || '') || '(kein Text)';
+
+      if (teacherId === INQUIRY_TAG) {
+        LOG.info(`Received inquiry for Klassenleitung: "${subject}" (${
+            text.length} characters; IMAP ID ${message.seq})`);
+        addOutbound({
+          id: id,
+          type: 'inquiry',
+          forwardingTag: config.forwardingTag || '',
+          subject: subject,
+          text: text,
+          messageId: parsedMessage.messageId,
+          replyTo: replyInfo(parsedMessage),
+          uid: message.uid
+        });
+        continue;
+      }
+
+      const isReply = reply && teacherId == reply.teacherId
+          && [null, forwardingTag || ''].includes(reply.forwardingTag);
+      LOG.info(
+          `Received ${isReply ? 'reply to' : 'email for'} teacher ${teacherId}${
+          recipient.name ? ` (${recipient.name})` : ''}: "${subject}" (${
+          text.length} characters; IMAP ID ${message.seq})`);
+      addOutbound({
+        id: id,
+        type: 'teacher',
+        forwardingTag: forwardingTag || '',
+        teacherId: teacherId,
+        teacherName: recipient.name || '',
+        replyThreadId: isReply ? reply.threadId : undefined,
+        subject: isReply ? undefined : subject,
+        text: text,
+        replyTo: replyInfo(parsedMessage),
+        uid: message.uid
+      });
+    }
+  }
+  LOG.info(`New incoming emails: ${numNewMessages}`);
+
+  if (Object.keys(ignoredMessages).length) {
+    const uids = Object.keys(ignoredMessages).join();
+    await IMAP_CLIENT.messageFlagsAdd(uids, ['\\Answered'], { uid: true });
+    LOG.debug(`Marked ignored emails: UIDs ${uids}`);
+    for (const category of new Set(Object.values(ignoredMessages))) {
+      await moveEmails(
+          Object.keys(ignoredMessages).filter(uid => ignoredMessages[uid] === category).join(),
+          category);
+    }
+  }
+
+  return {
+    notifications: Object.keys(ignoredMessages)
+        .filter(uid => ignoredMessages[uid] === 'notifications')
+        .map(uid => notifications[uid]),
+    adminCommands: adminCommands
+  };
+}
+
+/** Returns true if the parsed email is sent to the forwarding address with the tag "admin". */
+function isAdminCommand(parsedMessage) {
+  const commandAddress =
+      CONFIG.options.incomingEmail.forwardingAddress.replace('@', '+admin@').toLowerCase();
+  return [].concat(
+      parsedMessage.to ? parsedMessage.to.value : [],
+      parsedMessage.cc ? parsedMessage.cc.value : [])
+      .some(value => (value.address || '').toLowerCase() === commandAddress);
+}
+
+/** Returns true if an admin command was sent by the adminAddress, as far as we can verify. */
+async function verifyAdminCommand(message, parsedMessage) {
+  const from = parsedMessage.from && parsedMessage.from.value.length
+      ? parsedMessage.from.value[0].address.toLowerCase() : '';
+  if (from !== CONFIG.options.adminAddress.toLowerCase()) {
+    LOG.warn(`Ignoring admin command from "${from}"`);
+    return false;
+  }
+  try {
+    await vf.verifySender(message.source, from);
+  } catch (e) {
+    LOG.warn(`Ignoring admin command from unverified sender: ${e}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates a sick note and adds it to OUTBOUND. If it is invalid, the sender is notified and false
+ * is returned, so that the email is marked done right away.
+ */
+function processSickNote(config, id, message, parsedMessage) {
+  let sickNote;
+  try {
+    sickNote = parseSickNote(stripReplyText(parsedMessage.text || ''));
+  } catch (e) {
+    LOG.warn(`Rejecting invalid sick note (IMAP ID ${message.seq}): ${e}`);
+    INBOUND.push({
+      email: buildEmailReply(config, replyInfo(parsedMessage), 'Krankmeldung', {
+        text: `Die Krankmeldung wurde NICHT abgegeben:\n\n${e}\n\n`
+          + `Bitte in folgendem Format senden:\n\n${SICK_NOTE_TEMPLATE}`
+      }),
+      ok: () => {}
+    });
+    return false;
+  }
+  LOG.info(`Received sick note for ${formatDate(sickNote.from)} - ${formatDate(sickNote.until)}`
+      + ` (IMAP ID ${message.seq})`);
+  addOutbound({
+    id: id,
+    type: 'sicknote',
+    forwardingTag: config.forwardingTag || '',
+    child: sickNote.child,
+    from: formatDate(sickNote.from),
+    until: formatDate(sickNote.until),
+    reason: sickNote.reason,
+    replyTo: replyInfo(parsedMessage),
+    uid: message.uid
+  });
+  return true;
+}
+
+/**
+ * Adds a reply to a Schulmanager email, i.e. a messenger message or a letter that requires a
+ * response, to OUTBOUND. Returns false if there is no active Schulmanager job for it, so that the
+ * email is marked done right away.
+ */
+function processSchulmanagerReply(message, parsedMessage) {
+  const [, type, account, id] = parsedMessage.inReplyTo.match(SCHULMANAGER_MESSAGE_ID_PATTERN);
+  const msg = {
+    type: type,
+    account: account,
+    [type === 'letter' ? 'letterId' : 'conversationId']: id,
+    // Responses to letters are parsed by the Schulmanager job, which knows the options.
+    text: stripReplyText(parsedMessage.text || '') || (type === 'letter' ? '' : '(kein Text)'),
+    replyTo: replyInfo(parsedMessage),
+    uid: message.uid
+  };
+  const config = outboundJobConfig(msg);
+  if (!config) {
+    LOG.warn(`No active Schulmanager job for ${type} reply (IMAP ID ${message.seq})`);
+    INBOUND.push({
+      email: em.buildEmailAdmin('Antwort an Schulmanager ignoriert', {
+        text: `Die Antwort "${parsedMessage.subject || ''}" konnte keinem aktiven `
+          + `Schulmanager-Job zugeordnet werden.`
+      }),
+      ok: () => {}
+    });
+    return false;
+  }
+  // The email may have been received before a restart, in which case it's in the journal.
+  msg.id = `${parsedMessage.messageId || message.uid}|${type}`;
+  if (OUTBOUND.some(m => m.id === msg.id)) {
+    LOG.info(`Schulmanager ${type} reply already queued (IMAP ID ${message.seq})`);
+    return true;
+  }
+  LOG.info(`Received ${type} reply for Schulmanager (${describeOutbound(msg)}; ${
+      msg.text.length} characters; IMAP ID ${message.seq})`);
+  addOutbound(msg);
+  return true;
+}
+
+async function markEmailDone(uid) {
+  await IMAP_CLIENT.messageFlagsAdd(String(uid), ['\\Answered'], { uid: true });
+  LOG.debug(`Marked processed email: UID ${uid}`);
+  await moveEmails(String(uid), 'teachers');
+}
+
+/**
+ * Moves emails (comma separated UIDs) to the folder configured for the category in
+ * incomingEmail.folders, creating it if needed. Categories are "teachers" (emails from parents to
+ * be forwarded), "notifications" (anything else, e.g. from the portal) and "rejected" (unknown
+ * senders). If no folder is configured, emails stay in the inbox. Errors are only logged, because
+ * emails are already marked done at this point.
+ */
+async function moveEmails(uids, category) {
+  const folder = (CONFIG.options.incomingEmail.folders || {})[category];
+  if (!folder) {
+    return;
+  }
+  try {
+    if (!IMAP_FOLDERS[folder]) {
+      if (!(await IMAP_CLIENT.list()).some(mailbox => mailbox.path === folder)) {
+        await IMAP_CLIENT.mailboxCreate(folder);
+        LOG.info(`Created IMAP folder ${folder}`);
+      }
+      IMAP_FOLDERS[folder] = 1;
+    }
+    await IMAP_CLIENT.messageMove(uids, folder, { uid: true });
+    LOG.debug(`Moved emails to ${folder}: UIDs ${uids}`);
+  } catch (e) {
+    LOG.warn(`Failed to move emails to ${folder}: ${e}`);
+  }
+}
+
+module.exports = {
+  INQUIRY_TAG,
+  buildEmailReply,
+  buildForwardingAddress,
+  buildSubjectTag,
+  elternPortalAccount,
+  haveOutbound,
+  markOutboundEmailDone,
+  processNewEmail,
+  readOutbound,
+  removeOutbound,
+  schulmanagerAccount,
+  setOutboundState,
+  stripReplyText,
+  takeOutbound
+}
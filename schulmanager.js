@@ -1,23 +1,292 @@
 const fs = require('fs-extra');
+const md5 = require('md5');
 
 const em = require('./email.js');
+const ical = require('./ical.js');
+const ob = require('./outbound.js');
+const st = require('./state.js');
 
 // ---------- Shared state (initialized in main.js) ----------
 
 // global.LOG (see logging.js)
 // global.INBOUND (see main.js)
+// global.NOW (see main.js)
+// global.CONFIG (see main.js)
 
 const INITIAL_STATE = {
-  letters: {} // key: ID (time and subject); value: 1
+  // key: student ID ("default" without students); value: { key: letter ID; value: time emailed
+  // (epoch millis; 1 if unknown) }
+  letters: {},
+  events: [], // announced upcoming events, cf. ical.js (plus "ts" for pruning)
+  // key: student ID ("default" if unknown); value: { key: date (YYYY-MM-DD); value: { key: period;
+  // value: change } }
+  substitutions: {},
+  conversations: {}, // key: messenger conversation ID; value: its last activity when fully emailed
+  messages: {}, // key: conversation ID; value: { key: message ID; value: time emailed }
+  // key: letter ID; value: pending response as returned by parseLetterResponse(), plus the letter's
+  // "subject" and "dateString", and when we sent a reminder ("reminded") and submitted the response
+  // ("answered"; epoch millis, or 0). Reminders are sent until either happened.
+  responses: {},
+  // key: section, e.g. "letters"; value: { key: student ID (cf. "letters"); value: ID up to which
+  // all items were processed }
+  highWater: {}
 };
 
-function fillState(state, emptyState) {
-  for (const [key, value] of Object.entries(emptyState)) {
-    state[key] ||= value;
-    fillState(state[key], value); // Recurse for objects.
+// The Angular frontend retrieves data via POST requests to this URL. Each request bundles several
+// calls of the form { moduleName, endpointName, parameters }, the response has a matching list of
+// results of the form { status, data }.
+const API_CALLS_URL = 'https://login.schulmanager-online.de/api/calls';
+
+// The response to the login request includes the user, and for parents the linked students.
+const API_LOGIN_URL = 'https://login.schulmanager-online.de/api/login';
+
+const WEEKDAYS = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+
+// The student selector that the navigation bar shows to parents of several students, and its items.
+const STUDENT_SELECTOR_TOGGLE = 'student-selector button.dropdown-toggle';
+const STUDENT_SELECTOR_ITEM = 'student-selector .dropdown-item';
+
+// Key of state sections kept per student (e.g. "letters") if the account has no linked students.
+const DEFAULT_STUDENT_KEY = 'default';
+
+// Endpoints ("module/endpoint") whose responses to the page's own calls we capture (see
+// createApiListener()). Data in an unexpected format is an error (see checkApiData()).
+const CAPTURED_ENDPOINTS = {
+  // [{ id, title, confirmationRequired, responseForm, deadline, studentStatuses }], see
+  // parseLetterResponse()
+  letters: 'letters/get-letters',
+  // { nonRecurringEvents: [{ id, summary, start, end, allDay }], recurringEvents: [same] }
+  calendar: 'calendar/get-events-for-user',
+  exams: 'exams/get-exams', // [{ id, date, subject: { name }, type: { name } }]
+  lessons: 'schedules/get-actual-lessons' // see describeLessonChange()
+};
+
+// Endpoints of the messenger module, called directly via callApi(), with their parameters and the
+// data we use. Data in an unexpected format is an error (see checkApiData()).
+const MESSENGER_ENDPOINTS = {
+  // parameters: none; data: [{ id, thread: { subject, lastMessageTimestamp } }]
+  conversations: 'get-subscriptions',
+  // parameters: { subscriptionId }; data: [{ id, text, createdAt, sender: { firstName, lastName },
+  // attachments: [{ filename }] }]
+  messages: 'get-messages-by-subscription',
+  send: 'send-message' // parameters: { subscriptionId, text }
+};
+
+// Endpoints of the letters module for responses, called directly via callApi().
+const LETTER_ENDPOINTS = {
+  confirm: 'confirm', // parameters: { letterId, studentId }
+  respond: 'respond' // parameters: { letterId, studentId, response (option or text) }
+};
+
+// Replies that confirm a letter that only requires confirmation.
+const CONFIRMATION_PATTERN = /^(ok|ja|gelesen|bestätig\w*|zur kenntnis\w*)\b/i;
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Throws unless data returned by the API has the format we expect (valid), so that a change of the
+ * API is reported rather than misinterpreted, e.g. as all events having been cancelled.
+ */
+function checkApiData(endpoint, valid, data) {
+  if (!valid) {
+    throw new Error(`Unexpected data from Schulmanager API ${endpoint}: ${
+        JSON.stringify(data).substring(0, 200)}`);
   }
 }
 
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Returns the start of the day of the specified date (epoch millis), in local time.
+function startOfDay(date) {
+  return new Date(date).setHours(0, 0, 0, 0);
+}
+
+// Converts a date as returned by the API, i.e. "YYYY-MM-DD" or an ISO timestamp, to the format used
+// in ical.js, i.e. "YYYYMMDD" or "YYYYMMDDTHHMMSS" (local time).
+function toICalDate(s, allDay) {
+  if (/^\d{4}-\d\d-\d\d$/.test(s)) {
+    return s.replace(/-/g, '');
+  }
+  const d = new Date(s);
+  const pad = n => String(n).padStart(2, '0');
+  const date = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+  return allDay ? date : `${date}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+}
+
+// Returns the timestamp (epoch millis) of a date in the format used in ical.js.
+function parseICalDate(s) {
+  return new Date(s.substring(0, 4), s.substring(4, 6) - 1, s.substring(6, 8),
+      s.substring(9, 11) || 0, s.substring(11, 13) || 0).getTime();
+}
+
+// Returns the local date as "YYYY-MM-DD".
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Returns { key, value } of the latest date ("YYYY-MM-DD", optionally followed by a time) among the
+// parameters of an API call, i.e. the end of the requested range, or null if there is none.
+function calendarRangeEnd(parameters) {
+  const dates = Object.entries(parameters || {})
+      .filter(([, value]) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value))
+      .sort(([, a], [, b]) => a.localeCompare(b));
+  const [key, value] = dates.length ? dates[dates.length - 1] : [];
+  return key ? { key, value } : null;
+}
+
+// Returns a short description of a lesson as returned by the API, e.g. "Englisch".
+function lessonSubject(lesson) {
+  return lesson.subjectLabel;
+}
+
+function lessonTeachers(lesson) {
+  return lesson.teachers.map(t => t.abbreviation).join(', ');
+}
+
+function lessonRoom(lesson) {
+  return lesson.room ? lesson.room.name : '';
+}
+
+// Returns true if a lesson as returned by the API has the format we expect.
+function isValidLesson(lesson) {
+  return !!lesson && typeof lesson.subjectLabel === 'string' && Array.isArray(lesson.teachers);
+}
+
+/**
+ * Returns a description of how a timetable entry, as returned by the API, deviates from the regular
+ * timetable, e.g. "Englisch entfällt". Returns null for regular lessons. An entry has the format
+ * { date, classHour: { number }, actualLesson, originalLessons: [lesson], comment }, where the
+ * actual lesson is missing if the lesson is cancelled, and the original lessons are only present
+ * for substitutions (cf. isValidLesson() for the format of a lesson).
+ */
+function describeLessonChange(entry) {
+  const original = (entry.originalLessons || [])[0];
+  const actual = entry.actualLesson;
+  const cancelled = !actual;
+  if (!original && !cancelled && !entry.comment) {
+    return null;
+  }
+  let what;
+  if (cancelled) {
+    what = `${lessonSubject(original || actual)} entfällt`;
+  } else {
+    const details = [];
+    if (original && lessonTeachers(actual) !== lessonTeachers(original)) {
+      details.push(`Vertretung ${lessonTeachers(actual)}`);
+    }
+    if (original && lessonRoom(actual) !== lessonRoom(original)) {
+      details.push(`Raum ${lessonRoom(actual)}`);
+    }
+    what = original && lessonSubject(actual) !== lessonSubject(original)
+        ? `${lessonSubject(actual)} statt ${lessonSubject(original)}`
+        : lessonSubject(actual);
+    what += details.length ? ` (${details.join(', ')})` : '';
+  }
+  return entry.comment ? `${what}: ${entry.comment}` : what;
+}
+
+/** Returns a one line summary of a change, e.g. "Do 23.10.: 2. Std. Englisch entfällt". */
+function substitutionSummary(date, period, change, removed) {
+  const [year, month, day] = date.split('-');
+  const weekday = WEEKDAYS[new Date(year, month - 1, day).getDay()];
+  return `${removed ? 'Nicht mehr im Plan: ' : ''}${weekday} ${day}.${month}.: ${period}. Std. ${
+      change}`;
+}
+
+// Returns the Message-ID of a messenger message. Replies are assigned to the conversation by their
+// In-Reply-To (cf. SCHULMANAGER_MESSAGE_ID_PATTERN in outbound.js).
+function messengerMessageId(account, conversationId, messageId) {
+  return em.buildMessageId(`messenger-${account}-${conversationId}-${messageId}`);
+}
+
+// Formats a date in the format used in ical.js for display, e.g. "Do 23.10.2025 08:00".
+function formatICalDate(s) {
+  const weekday = WEEKDAYS[new Date(parseICalDate(s)).getDay()];
+  const time = s.includes('T') ? ` ${s.substring(9, 11)}:${s.substring(11, 13)}` : '';
+  return `${weekday} ${s.substring(6, 8)}.${s.substring(4, 6)}.${s.substring(0, 4)}${time}`;
+}
+
+/**
+ * Returns what a letter, as returned by the API, requires in response from the specified student
+ * (null for the account itself), or null. The result is { type, options, deadline, studentIds }:
+ * The type is "confirm" (read confirmation only), "choice" (one of the options) or "text" (free
+ * text). The deadline is in epoch millis, or 0. The student ID (an empty string for the account
+ * itself) is included if the response is still pending.
+ * The letter has the format { confirmationRequired, responseForm, deadline, studentStatuses },
+ * where the response form is null or { options: [{ label }] }, and each status is { studentId,
+ * confirmationTimestamp } (the latter is null while the response is pending).
+ */
+function parseLetterResponse(letter, studentId) {
+  if (!letter.confirmationRequired && !letter.responseForm) {
+    return null;
+  }
+  const status = studentId === null
+      ? letter.studentStatuses[0]
+      : letter.studentStatuses.find(s => String(s.studentId) === studentId);
+  const options = letter.responseForm ? letter.responseForm.options.map(o => o.label.trim()) : [];
+  return {
+    type: !letter.responseForm ? 'confirm' : (options.length ? 'choice' : 'text'),
+    options: options,
+    deadline: letter.deadline ? new Date(letter.deadline).getTime() : 0,
+    studentIds: status && !status.confirmationTimestamp ? [studentId || ''] : []
+  };
+}
+
+// Returns true if a letter as returned by the API has the format parseLetterResponse() expects.
+function isValidLetterResponse(letter) {
+  return typeof letter.confirmationRequired === 'boolean'
+      && Array.isArray(letter.studentStatuses)
+      && (!letter.responseForm || (Array.isArray(letter.responseForm.options)
+          && letter.responseForm.options.every(o => typeof o.label === 'string')));
+}
+
+// Returns instructions for responding by email (or on the website, if replyable is false).
+function responseInstructions(response, replyable) {
+  const lines = [`Rückmeldung erforderlich${
+      response.deadline ? ` bis ${new Date(response.deadline).toLocaleString('de-DE')}` : ''}.`];
+  if (!replyable) {
+    lines.push('Bitte auf der Website antworten.');
+  } else if (response.type === 'confirm') {
+    lines.push('Zum Bestätigen auf diese Email mit "OK" antworten.');
+  } else if (response.type === 'choice') {
+    lines.push('Zum Antworten auf diese Email mit der Nummer der gewünschten Option antworten:');
+    response.options.forEach((o, i) => lines.push(`${i + 1} = ${o}`));
+  } else {
+    lines.push('Zum Antworten auf diese Email mit dem gewünschten Text antworten.');
+  }
+  return lines.join('\n');
+}
+
+// Returns the response to submit for the reply text, i.e. the option or the text (or "OK" for a
+// confirmation). Throws a reason in German if the reply is invalid.
+function parseResponseReply(response, text) {
+  const firstLine = text.trim().split('\n')[0].trim();
+  switch (response.type) {
+    case 'confirm':
+      if (CONFIRMATION_PATTERN.test(firstLine)) {
+        return 'OK';
+      }
+      break;
+    case 'choice': {
+      const n = /^\d+$/.test(firstLine) ? parseInt(firstLine) : 0;
+      const option = response.options[n - 1]
+          || response.options.find(o => o.toLowerCase() === firstLine.toLowerCase());
+      if (option) {
+        return option;
+      }
+      break;
+    }
+    default:
+      if (text.trim()) {
+        return text.trim();
+      }
+  }
+  throw `Ungültige Antwort "${firstLine}".\n\n${responseInstructions(response, true)}`;
+}
+
 // GENERAL NOTE: It seems that handle.click() is, at least in certain situations, flaky, while using
 // page.evaluate() to call click() on the element is (AFAICT) robust. Hence we mostly use the
 // latter.
@@ -27,25 +296,79 @@ class Schulmanager {
   #downloadPath;
   #state;
   #page;
+  #apiAuth = null; // { authorization, bundleVersion } as used by the page, see callApi()
+  #students = []; // students linked to the account: { id, name, api (as returned by the API) }
 
   constructor(config, state, page, downloadPath) {
     this.#config = config;
     this.#state = state;
     this.#page = page;
     this.#downloadPath = downloadPath;
-    fillState(this.#state, INITIAL_STATE);
+    st.fillState(this.#state, INITIAL_STATE);
   }
   
   async process() {
     if (this.#config.timeoutSeconds) {
       this.#page.setDefaultTimeout(this.#config.timeoutSeconds * 1000);
     }
+    // Capture what we need to call the API ourselves.
+    this.#page.on('request', request => {
+      if (request.url() === API_CALLS_URL && request.headers().authorization) {
+        this.#apiAuth = {
+          authorization: request.headers().authorization,
+          bundleVersion: JSON.parse(request.postData() || '{}').bundleVersion
+        };
+      }
+    });
     await this.login();
+    // Post replies first, so the copy of the reply is emailed below (as for Eltern-Portal).
+    await this.sendMessengerReplies();
+    await this.submitLetterResponses();
     const letters = await this.readLetters();
     this.buildEmailsForLetters(letters);
+    if (this.#config.eventLookaheadDays) {
+      await this.readEvents();
+    }
+    await this.readSubstitutions();
+    if (this.#config.messenger) {
+      await this.readMessenger();
+    }
   }
 
   async login() {
+    const pending = [];
+    const listener = response => {
+      if (response.url() === API_LOGIN_URL && response.request().method() === 'POST') {
+        pending.push(response.json()
+            .then(json => this.setStudents(json.user))
+            .catch(e => LOG.warn(`Failed to parse Schulmanager login response: ${e}`)));
+      }
+    };
+    this.#page.on('response', listener);
+    try {
+      await this.loginInternal();
+      await Promise.all(pending);
+    } finally {
+      this.#page.off('response', listener);
+    }
+  }
+
+  // Sets the students linked to the user, as returned by the API. A student's own account has no
+  // linked students, but the student itself.
+  setStudents(user) {
+    const students = (user && (user.associatedStudents || (user.student && [user.student]))) || [];
+    this.#students = students.filter(s => s && s.id).map(s => {
+      return {
+        id: String(s.id),
+        name: (s.firstname || s.firstName || '').trim() || String(s.id),
+        api: s
+      };
+    });
+    LOG.info(`Found ${this.#students.length} student(s): ${
+        this.#students.map(s => s.name).join(', ')}`);
+  }
+
+  async loginInternal() {
     await this.#page.goto('https://login.schulmanager-online.de/');
     await this.#page.waitForSelector('#emailOrUsername');
     await this.#page.type('#emailOrUsername', this.#config.user);
@@ -85,24 +408,22 @@ class Schulmanager {
     LOG.info('Login Schulmanager OK');
   }
 
-  // Expands the list of letters until the specified number of letters is shown. Specify zero to
-  // expand completely. Unfortunately the list is collapsed again after viewing a letter, so this
-  // function may have to be called repeatedly (if there are many new letters). Returns a string for
-  // logging.
+  // Expands the list of letters until the specified number of letters is shown, or completely.
+  // Unfortunately the list is collapsed again after viewing a letter, so this function may have to
+  // be called repeatedly (if there are many new letters). Returns true if more letters are
+  // available.
   //
-  // We expand the whole list once per run. This is inefficient and could be improved by remembering
-  // the newest message after which we have processed all older messages. Then again, expanding ~250
-  // messages takes ~3s on my machine, so it's not a big deal - on a normal run it will only happen
-  // once, assuming all new messages are in the first chunk, resulting in O(n) comlexity. Also, note
-  // that on a catchup run there is no way around O(n^2) complexity because Schulmanager collapses
-  // the list again after viewing a message.
+  // We only expand the list down to the high-water mark, i.e. the newest letter up to which all
+  // letters were processed (see readLetters()). In steady state all new letters are in the first
+  // chunk, so we don't expand at all. Note that on a catchup run there is no way around O(n^2)
+  // complexity because Schulmanager collapses the list again after viewing a message.
   async expandLetters(numToShow) {
-      // Expand entire list by clicking "load more" repeatedly.
+    // Expand list by clicking "load more" repeatedly.
     while (true) {
       const loadMore = await this.#page.$('a.back-link[href="#/dashboard"] ~ h1 ~ div button');
       const numShown = await this.#page.$$eval('tr td.title-column', (tds) => tds.length);
-          if (!loadMore || (numToShow > 0 && numShown >= numToShow)) {
-        return `Found ${numShown} letters${loadMore ? ' (more are available)' : ''}`;
+      if (!loadMore || numShown >= numToShow) {
+        return !!loadMore;
       }
       this.#page.evaluate(btn => btn.click(), loadMore);
       // Simply wait for one more letter to show.
@@ -120,63 +441,334 @@ class Schulmanager {
     return client;
   }
 
+  // Calls an API endpoint from the page context, authenticated like the page's own calls. Returns
+  // the result data, or throws.
+  async callApi(moduleName, endpointName, parameters) {
+    if (!this.#apiAuth) {
+      throw 'Schulmanager API not available (no request observed since login)';
+    }
+    const call = { moduleName: moduleName, endpointName: endpointName, parameters: parameters };
+    const response = await this.#page.evaluate(async (url, authorization, body) => {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': authorization },
+        body: JSON.stringify(body)
+      });
+      return { status: r.status, json: r.ok ? await r.json() : null };
+    }, API_CALLS_URL, this.#apiAuth.authorization,
+        { bundleVersion: this.#apiAuth.bundleVersion, requests: [call] });
+    const result = response.json && response.json.results && response.json.results[0];
+    if (!result || result.status !== 200) {
+      throw `Schulmanager API call ${moduleName}/${endpointName} failed: ${
+          result ? result.status : response.status}`;
+    }
+    return result.data;
+  }
+
+  // Returns a listener for page responses that passes the data of each API call to one of the
+  // specified endpoints (see CAPTURED_ENDPOINTS) to onData(data, call). Promises for pending
+  // responses are added to the specified list. They reject if onData() throws.
+  createApiListener(endpoints, pending, onData) {
+    return (response) => {
+      if (response.url() !== API_CALLS_URL || response.request().method() !== 'POST') {
+        return;
+      }
+      const calls = JSON.parse(response.request().postData() || '{}').requests || [];
+      const captured = call => endpoints.includes(`${call.moduleName}/${call.endpointName}`);
+      if (!calls.some(captured)) {
+        return;
+      }
+      const promise = (async () => {
+        const results = (await response.json()).results;
+        calls.forEach((call, i) => {
+          if (!captured(call)) {
+            return;
+          }
+          if (!results[i] || results[i].status !== 200) {
+            throw new Error(`Schulmanager API call ${call.moduleName}/${call.endpointName} `
+                + `failed: ${results[i] ? results[i].status : 'no result'}`);
+          }
+          onData(results[i].data, call);
+        });
+      })();
+      promise.catch(() => {}); // Reported where the caller awaits the pending promises.
+      pending.push(promise);
+    };
+  }
+
+  // Calls an API endpoint like the specified call (captured from the page) for each student for
+  // which that did not happen yet, i.e. for students not in the specified set of IDs. Passes the
+  // data to onData(data, call). Calls without a student parameter are not repeated.
+  async callApiForStudents(call, studentIds, onData) {
+    if (!call || !call.parameters || !call.parameters.student) {
+      return;
+    }
+    for (const student of this.#students.filter(s => !studentIds.has(s.id))) {
+      const parameters = { ...call.parameters, student: student.api };
+      onData(await this.callApi(call.moduleName, call.endpointName, parameters),
+          { ...call, parameters: parameters });
+    }
+  }
+
+  // Returns the student referenced by the parameters of an API call, or null.
+  studentOfCall(call) {
+    const id = call.parameters && call.parameters.student && call.parameters.student.id;
+    return this.#students.find(s => s.id === String(id)) || null;
+  }
+
+  // Returns the overrides configured for the student in "students", keyed by first name or ID.
+  studentConfig(student) {
+    const students = this.#config.students || {};
+    const key = Object.keys(students).find(
+        k => k === student.id || k.toLowerCase() === student.name.toLowerCase());
+    return key ? students[key] : {};
+  }
+
+  /**
+   * Returns { tag, recipients } for emails in the specified category (cf. "recipients") that
+   * concern the specified students. A student's overrides (see studentConfig()) replace the job's
+   * tag and, per category, its recipients. Emails concerning several students go to all their
+   * recipients.
+   */
+  addressing(category, students) {
+    const configs = students.length
+        ? students.map(s => {
+          const overrides = this.studentConfig(s);
+          return {
+            tag: overrides.tag || this.#config.tag,
+            recipients: { ...this.#config.recipients, ...overrides.recipients }
+          };
+        })
+        : [this.#config];
+    const recipients = new Set(configs.flatMap(
+        c => (c.recipients['*'] || []).concat(c.recipients[category] || [])));
+    const tags = new Set(configs.map(c => c.tag));
+    return {
+      tag: tags.size == 1 ? [...tags][0] : this.#config.tag,
+      recipients: [...recipients]
+    };
+  }
+
+  // Returns the names of the students, for display, if there are several students to tell apart.
+  studentLabel(students) {
+    return this.#students.length > 1 ? students.map(s => s.name).join(', ') : '';
+  }
+
+  // Returns the letters currently shown in the list (newest first), with their IDs as returned by
+  // the API. Letters without a matching API entry (which should not happen) are identified by date
+  // and subject, as in previous versions.
+  async readLetterList(apiLetters, pending) {
+    const rows = await this.#page.$$eval('tr td.title-column', (tds) =>
+      tds.map((td, i) => ({
+        index: i + 1,
+        subject: td.innerText.trim(),
+        dateText: td.previousElementSibling.innerText.trim()
+      }))
+    );
+    await Promise.all(pending);
+    // The list and the API show letters in the same order. To be safe we match rows by subject,
+    // which also handles subjects that occur more than once.
+    const unmatched = [...apiLetters.entries()];
+    return rows.map(row => {
+      const d = row.dateText.match(/(\d\d)\.(\d\d)\.(\d\d)[, ]+(\d\d):(\d\d)/);
+      const i = unmatched.findIndex(([_, letter]) => letter.title === row.subject);
+      const [id, { response }] = i >= 0 ? unmatched.splice(i, 1)[0] : [null, {}];
+      const key = `${row.dateText} ${row.subject}`; // ID used by previous versions
+      return {
+        index: row.index,
+        subject: row.subject,
+        // Date isn't serializable, so we need to use a string.
+        dateString: `${2000 + parseInt(d[3])}-${d[2]}-${d[1]} ${d[4]}:${d[5]}`,
+        key: key,
+        id: id !== null && Number.isInteger(Number(id)) ? Number(id) : key,
+        response: response || null
+      };
+    });
+  }
+
+  /**
+   * Reads the new letters of all students. The page only shows the letters of the selected student,
+   * so with several students we select each in turn. A letter to several students (e.g. siblings in
+   * the same class) is read only once, and emailed once naming all of them. Returns the new letters
+   * in chronological order.
+   */
   async readLetters() {
+    this.migrateLetterState();
+    const letters = new Map(); // key: letter ID; value: letter
+    const shownLetters = new Map(); // same for letters that were already processed
+    for (const student of this.#students.length > 1 ? this.#students : [this.#students[0]]) {
+      if (this.#students.length > 1) {
+        await this.selectStudent(student);
+      }
+      await this.readLettersOf(student, letters, shownLetters);
+    }
+
+    // Responses are only possible until the deadline, and for letters we know.
+    const known = id => Object.values(this.#state.letters).some(letters => letters[id]);
+    for (const [id, response] of Object.entries(this.#state.responses)) {
+      if (!known(id) || (response.deadline && response.deadline < NOW)) {
+        delete this.#state.responses[id];
+      }
+    }
+    this.updateResponses([...shownLetters.values()]);
+    this.buildEmailsForResponseReminders();
+
+    return [...letters.values()].sort((a, b) => a.dateString.localeCompare(b.dateString));
+  }
+
+  /** Returns the key for state sections kept per student (see INITIAL_STATE). */
+  studentKey(student) {
+    return student ? student.id : DEFAULT_STUDENT_KEY;
+  }
+
+  /**
+   * Previous versions kept a single list of letters and a single high-water mark. These were read
+   * for whichever student was selected, so we copy them to each student.
+   */
+  migrateLetterState() {
+    const keys = this.#students.length ? this.#students.map(s => s.id) : [DEFAULT_STUDENT_KEY];
+    const flat = Object.entries(this.#state.letters).filter(([_, v]) => typeof v === 'number');
+    if (flat.length) {
+      LOG.info(`Migrating ${flat.length} letter(s) to students ${keys.join(', ')}`);
+      for (const key of keys) {
+        this.#state.letters[key] = { ...Object.fromEntries(flat), ...this.#state.letters[key] };
+      }
+      flat.forEach(([id]) => delete this.#state.letters[id]);
+    }
+    if (typeof this.#state.highWater.letters === 'number') {
+      const highWater = this.#state.highWater.letters;
+      this.#state.highWater.letters = Object.fromEntries(keys.map(key => [key, highWater]));
+    }
+  }
+
+  /** Selects the student whose data the page shows, using the selector in the navigation bar. */
+  async selectStudent(student) {
+    await this.#page.goto('https://login.schulmanager-online.de/#/dashboard');
+    const toggle = await this.#page.waitForSelector(STUDENT_SELECTOR_TOGGLE).catch(() => null);
+    if (!toggle) {
+      throw new Error(`Schulmanager student selector not found (${STUDENT_SELECTOR_TOGGLE})`);
+    }
+    await this.#page.evaluate(e => e.click(), toggle);
+    await this.#page.waitForSelector(STUDENT_SELECTOR_ITEM);
+    const items = await this.#page.$$(STUDENT_SELECTOR_ITEM);
+    for (const item of items) {
+      if ((await item.evaluate(e => e.innerText)).includes(student.name)) {
+        await this.#page.evaluate(e => e.click(), item);
+        await this.#page.waitForNetworkIdle({ idleTime: 500 });
+        LOG.info(`Selected student ${student.name}`);
+        return;
+      }
+    }
+    throw new Error(`Schulmanager student ${student.name} not found in student selector`);
+  }
+
+  /**
+   * Reads the letters of the selected student (or of the account without students), adding new
+   * letters to the specified map and those already processed to shownLetters. Letters already in
+   * the map are not read again, only attributed to this student as well.
+   */
+  async readLettersOf(student, letters, shownLetters) {
+    // Schulmanager doesn't show letter IDs, but the API returns them. Capture them from the API
+    // responses the page receives, including those for "load more".
+    const apiLetters = new Map(); // key: ID; value: { title, response }
+    const pending = [];
+    const listener = this.createApiListener([CAPTURED_ENDPOINTS.letters], pending, data => {
+      checkApiData(CAPTURED_ENDPOINTS.letters, Array.isArray(data) && data.every(letter =>
+        letter.id && typeof letter.title === 'string' && isValidLetterResponse(letter)), data);
+      for (const letter of data) {
+        apiLetters.set(letter.id, {
+          title: letter.title.trim(),
+          response: parseLetterResponse(letter, student ? student.id : null)
+        });
+      }
+    });
+    this.#page.on('response', listener);
+    try {
+      await this.readLettersWithIds(student, apiLetters, pending, letters, shownLetters);
+    } finally {
+      this.#page.off('response', listener);
+    }
+  }
+
+  async readLettersWithIds(student, apiLetters, pending, letters, shownLetters) {
+    const key = this.studentKey(student);
+    const processed = this.#state.letters[key] ||= {};
+    const highWaterMarks = this.#state.highWater.letters ||= {};
     await this.#page.goto('https://login.schulmanager-online.de/#/modules/letters/view');
     await this.#page.waitForSelector('a.back-link[href="#/dashboard"]');
-    const logMsg = await this.expandLetters(0);
-    LOG.info(logMsg);
-
-    const allLetters = await this.#page.$$eval('tr td.title-column', (tds) => 
-      tds.map((td) => {
-        
-        // Metadata is stored on the element in two arrays, __ngContext__ and
-        // __zone_symbol__clickfalse. The former includes an object like {id: 123}, and IIRC the
-        // latter includes one like {letterId: 123}. Both indicate the letter ID, as seen in the URL
-        // when clicked. We could look for those in these arrays, but that seems brittle. Instead we
-        // just use the concatenation of date/time and subject, which seems unique and stable enough.
 
-        const subject = td.innerText.trim();
-        const dateString = td.previousElementSibling.innerText.trim();
-        const d = dateString.match(/(\d\d)\.(\d\d)\.(\d\d)[, ]+(\d\d):(\d\d)/);
-        return {
-          // We could use "id" below to find the message in the list, but the index is more
-          // straightforward.
-          index: 1 + Array.prototype.indexOf.call(
-              td.parentElement.parentElement.children, td.parentElement),
-          subject: subject,
-          // Date isn't serializable, so we need to use a string.
-          dateString: `${2000 + parseInt(d[3])}-${d[2]}-${d[1]} ${d[4]}:${d[5]}`,
-          id: `${dateString} ${subject}`
-        };
-      })
-    );
+    // Expand the list until it includes the high-water mark, i.e. all letters newer than the mark.
+    // Without a mark (e.g. on the first run) this expands the entire list.
+    let highWater = highWaterMarks[key] || 0;
+    const reachesHighWater = list => highWater && list.some(
+        letter => typeof letter.id === 'number' && letter.id <= highWater);
+    let allLetters = await this.readLetterList(apiLetters, pending);
+    let more = true;
+    while (more && !reachesHighWater(allLetters)) {
+      more = await this.expandLetters(allLetters.length + 1);
+      allLetters = await this.readLetterList(apiLetters, pending);
+    }
+    LOG.info(`Found ${allLetters.length} letters${more ? ' (more are available)' : ''}${
+        student ? ` for ${student.name}` : ''}`);
 
-    // Prune the list of processed IDs.
-    let keepIds = {};
+    // Migrate IDs used by previous versions.
+    for (const letter of allLetters) {
+      if (letter.id !== letter.key && processed[letter.key]) {
+        processed[letter.id] = processed[letter.key];
+        delete processed[letter.key];
+      }
+    }
+
+    // Advance the high-water mark over the letters processed since the last run. This assumes that
+    // IDs are increasing, which they are (database IDs).
+    const numericIds = allLetters.map(letter => letter.id).filter(id => typeof id === 'number');
+    for (const id of numericIds.sort((a, b) => a - b)) {
+      if (id > highWater) {
+        if (!processed[id]) {
+          break;
+        }
+        highWater = id;
+      }
+    }
+    highWaterMarks[key] = highWater;
+
+    // Prune the list of processed IDs. We can only prune letters that should be shown, i.e. the
+    // whole list if it is fully expanded, otherwise those newer than the oldest one shown. Older
+    // IDs are kept for resending (see applyResends() in main.js).
+    const oldestShown = more ? Math.min(...numericIds) : Infinity;
+    const keepIds = {};
     allLetters.forEach(letter => keepIds[letter.id] = 1);
-    for (const id in this.#state.letters) {
-      if (!keepIds[id]) {
-        delete this.#state.letters[id];
+    for (const id in processed) {
+      if (!keepIds[id] && !(Number(id) < oldestShown)) {
+        delete processed[id];
       }
     }
 
-    const letters = allLetters.filter(letter => !this.#state.letters[letter.id]);
+    const newLetters = allLetters.filter(letter => !processed[letter.id]
+        && !(typeof letter.id === 'number' && letter.id <= highWater));
+    for (const letter of allLetters.filter(letter => !newLetters.includes(letter))) {
+      this.addStudentToLetter(shownLetters, letter, student);
+    }
 
     // Retrieve letter content.
-    for (const letter of letters) {
+    for (const letter of newLetters) {
+      if (letters.has(letter.id)) { // already read for another student
+        this.addStudentToLetter(letters, letter, student);
+        continue;
+      }
       await this.expandLetters(letter.index);
       const tdHandle = await this.#page.$(`tr:nth-child(${letter.index}) td.title-column`);
       
       // Verify the index is stable, and simply bail out otherwise (cause is probably a race with a
       // new message arriving while processing).
-      const id = await tdHandle.evaluate(td => {
+      const rowKey = await tdHandle.evaluate(td => {
         const subject = td.innerText.trim();
         const dateString = td.previousElementSibling.innerText.trim();
         return `${dateString} ${subject}`;
       });
-      if (letter.id !== id) {
+      if (letter.key !== rowKey) {
         LOG.warn(`Letters changed while processing (new letter?), will retry on next iteration`);
-        return;
+        break;
       }
 
       await Promise.all([
@@ -189,7 +781,7 @@ class Schulmanager {
       // but that seems brittle and complicated. This solution is a hack, but at least it's simple.
       // In steady state we usually don't run into this problem because there's rarely more than one
       // new message, but it does happen on catchup runs.
-      if (letter.index !== letters[0].index) {
+      if (letter.index !== newLetters[0].index) {
         await this.#page.waitForNetworkIdle({ idleTime: this.#config.attachmentWaitMillis || 1500 });
       }
 
@@ -208,8 +800,7 @@ class Schulmanager {
       LOG.info(`Message "${letter.subject}" retrieved`);
 
       // Retrieve attachments, if any. This doesn't use the same method as Eltern-Portal, i.e. a
-      // simple HTTP request, because I found no good way of getting at the letter ID (and that's only
-      // one of multiple parameters). 
+      // simple HTTP request, because the letter ID is only one of multiple parameters.
       const attachments = await this.#page.$$('div.letter-title ~ div label ~ div a');
       LOG.info(`Found ${attachments.length} attachments`);
 
@@ -243,34 +834,680 @@ class Schulmanager {
         this.#page.waitForNavigation(),
         this.#page.click('span.close-button')
       ]);
+      this.addStudentToLetter(letters, letter, student);
     }
-    
-    return letters.reverse(); // send in chronological order
+  }
+
+  /**
+   * Adds the letter to the map, or the student to the letter already in the map. The letter's
+   * "studentKeys" are the keys of the students (cf. studentKey()) whose list contains it, and its
+   * response is pending for those included in the response's "studentIds".
+   */
+  addStudentToLetter(letters, letter, student) {
+    const key = this.studentKey(student);
+    const existing = letters.get(letter.id);
+    if (!existing) {
+      letters.set(letter.id, { ...letter, studentKeys: [key] });
+      return;
+    }
+    existing.studentKeys.push(key);
+    if (letter.response && existing.response) {
+      existing.response.studentIds.push(...letter.response.studentIds);
+    } else {
+      existing.response ||= letter.response;
+    }
+  }
+
+  /**
+   * Converts entries of the calendar and exams modules, as returned by the API, to events in the
+   * format used in ical.js (plus "ts", the start time in epoch millis, and "studentId" if the event
+   * concerns a student). Throws if the data has an unexpected format.
+   */
+  toEvents(moduleName, data, student) {
+    const label = student ? this.studentLabel([student]) : '';
+    const toEvent = (id, summary, start, end, allDay) => {
+      allDay ||= /^\d{4}-\d\d-\d\d$/.test(start);
+      const event = {
+        summary: label ? `${label}: ${summary}` : summary,
+        start: toICalDate(start, allDay),
+        end: toICalDate(end || start, allDay)
+      };
+      // Recurring events share the ID, and moved events are reported as cancelled and new. Exams
+      // of siblings may share the ID too. The student is only included if there are several, so
+      // that UIDs of previous versions remain valid for a single student.
+      const studentSuffix = student && this.#students.length > 1 ? `\n${student.id}` : '';
+      event.uid = em.buildMessageId(`sm-event-${
+          md5(`${this.#config.user}\n${moduleName}-${id}\n${event.start}${studentSuffix}`)}`);
+      event.ts = parseICalDate(event.start);
+      if (student) {
+        event.studentId = student.id;
+      }
+      return event;
+    };
+    if (moduleName === 'calendar') {
+      checkApiData(CAPTURED_ENDPOINTS.calendar, data && Array.isArray(data.nonRecurringEvents)
+          && Array.isArray(data.recurringEvents), data);
+      const entries = [...data.nonRecurringEvents, ...data.recurringEvents];
+      checkApiData(CAPTURED_ENDPOINTS.calendar,
+          entries.every(e => e.id && typeof e.summary === 'string' && e.start), entries);
+      return entries.map(e => toEvent(e.id, e.summary.trim(), e.start, e.end, e.allDay));
+    }
+    // Exams have a date, a subject and a type, e.g. "Schulaufgabe".
+    checkApiData(CAPTURED_ENDPOINTS.exams, Array.isArray(data) && data.every(
+        e => e.id && e.date && e.subject && e.subject.name && e.type && e.type.name), data);
+    return data.map(e => toEvent(e.id, `${e.type.name} ${e.subject.name}`, e.date, e.date, true));
+  }
+
+  /**
+   * Reads upcoming events and exams and emails new and cancelled ones within the lookahead. The
+   * events are captured from the API responses the calendar and exams modules receive. The page
+   * only shows exams of the selected student, so we request those of other students ourselves.
+   * Likewise we request events beyond the range the calendar shows (see extendCalendarRange()).
+   */
+  async readEvents() {
+    const todayZeroTs = startOfDay(NOW);
+    const lookaheadDate = new Date(todayZeroTs);
+    lookaheadDate.setDate(lookaheadDate.getDate() + this.#config.eventLookaheadDays);
+    const lookaheadTs = lookaheadDate.getTime();
+
+    const events = new Map(); // key: UID; value: event
+    const pending = [];
+    const modulesRead = new Set();
+    let calendarCall = null;
+    let examsCall = null;
+    const studentIds = new Set();
+    const onData = (data, call) => {
+      modulesRead.add(call.moduleName);
+      const student = this.studentOfCall(call);
+      if (call.moduleName === 'calendar') {
+        calendarCall ||= call;
+      } else if (call.moduleName === 'exams') {
+        examsCall = call;
+        studentIds.add(student && student.id);
+      }
+      this.toEvents(call.moduleName, data, student).forEach(e => events.set(e.uid, e));
+    };
+    const listener = this.createApiListener(
+        [CAPTURED_ENDPOINTS.calendar, CAPTURED_ENDPOINTS.exams], pending, onData);
+    this.#page.on('response', listener);
+    try {
+      for (const module of ['calendar', 'exams']) {
+        await this.#page.goto(`https://login.schulmanager-online.de/#/modules/${module}/view`);
+        await this.#page.waitForNetworkIdle({ idleTime: 500 });
+      }
+      await Promise.all(pending);
+    } finally {
+      this.#page.off('response', listener);
+    }
+    await this.callApiForStudents(examsCall, studentIds, onData);
+    await this.extendCalendarRange(calendarCall, lookaheadDate, onData);
+    // Without a response we would report all events (or exams) as cancelled.
+    for (const module of ['calendar', 'exams']) {
+      if (!modulesRead.has(module)) {
+        throw new Error(`Schulmanager ${module} returned no data (expected a call to ${
+            CAPTURED_ENDPOINTS[module]})`);
+      }
+    }
+
+    this.#state.events = this.#state.events.filter(e => e.ts >= todayZeroTs);
+    const announced = new Set(this.#state.events.map(e => e.uid));
+    const newEvents = [...events.values()]
+        .filter(e => e.ts >= todayZeroTs && e.ts <= lookaheadTs && !announced.has(e.uid));
+    const cancelledEvents = this.#state.events
+        .filter(e => !events.has(e.uid))
+        .map(e => { return { ...e, cancelled: true }; });
+    LOG.info(`Found ${events.size} events, of which ${newEvents.length} new and `
+        + `${cancelledEvents.length} cancelled within lookahead`);
+    if (!newEvents.length && !cancelledEvents.length) {
+      return;
+    }
+
+    // Events concerning students with different recipients are emailed separately.
+    const groups = new Map(); // key: JSON of addressing(); value: list of events
+    for (const e of newEvents.concat(cancelledEvents).sort((a, b) => a.ts - b.ts)) {
+      const students = this.#students.filter(s => s.id === e.studentId);
+      const key = JSON.stringify(this.addressing('termine', students));
+      groups.set(key, (groups.get(key) || []).concat([e]));
+    }
+    for (const [key, changedEvents] of groups.entries()) {
+      this.buildEmailForEvents(changedEvents, JSON.parse(key));
+    }
+  }
+
+  /**
+   * The calendar view only loads the events of the range it shows, e.g. the current month. If that
+   * ends before the lookahead date, we request the events up to the lookahead date ourselves. The
+   * end of the range is taken to be the latest date among the parameters of the captured call. If
+   * there is none, we can only warn that events may be missed.
+   */
+  async extendCalendarRange(call, lookaheadDate, onData) {
+    if (!call) {
+      return; // reported by the caller
+    }
+    const range = calendarRangeEnd(call.parameters);
+    if (!range) {
+      LOG.warn('Found no date range in the Schulmanager calendar request, events after the range '
+          + 'shown on the website are missed even within eventLookaheadDays');
+      return;
+    }
+    const lookahead = formatDate(lookaheadDate);
+    if (range.value.substring(0, 10) >= lookahead) {
+      return;
+    }
+    LOG.info(`Requesting calendar events up to ${lookahead} (website loaded up to ${range.value})`);
+    const parameters = { ...call.parameters, [range.key]: lookahead + range.value.substring(10) };
+    onData(await this.callApi(call.moduleName, call.endpointName, parameters),
+        { ...call, parameters: parameters });
+  }
+
+  /** Emails the specified new and cancelled events. */
+  buildEmailForEvents(changedEvents, addressing) {
+    const rows = changedEvents.map(e => `<tr class="${e.cancelled ? 'removed' : 'new'}"><td>${
+        e.cancelled ? '--' : '*'}</td><td>${formatICalDate(e.start)}</td><td>${
+        escapeHtml(e.summary)}</td></tr>`);
+    const html = `<!DOCTYPE html><html><head><title>Bevorstehende Termine</title>
+        <style>
+        table { border-collapse: collapse; }
+        tr { border-bottom: 1pt solid; }
+        tr.new { font-weight: bold; }
+        tr.removed { text-decoration: line-through; }
+        </style>
+        </head>
+        <body>
+        <h2>Termine in den n&auml;chsten ${this.#config.eventLookaheadDays} Tagen</h2>
+        <table>
+        ${rows.join('\n')}
+        </table>
+        </body></html>`;
+    const text = changedEvents.map(e =>
+        `${e.cancelled ? 'ABGESAGT: ' : ''}${formatICalDate(e.start)} ${e.summary}`).join('\n');
+    INBOUND.push({
+      email: this.buildEmailEvents({
+        text: text,
+        html: html,
+        attachments: [{
+          filename: 'termine.ics',
+          content: ical.buildCalendarUpdate(changedEvents),
+          contentType: 'text/calendar; charset=utf-8'
+        }]
+      }, addressing),
+      ok: () => {
+        const uids = new Set(changedEvents.map(e => e.uid));
+        this.#state.events = this.#state.events
+            .filter(e => !uids.has(e.uid))
+            .concat(changedEvents.filter(e => !e.cancelled));
+      }
+    });
+  }
+
+  /**
+   * Reads the timetable of the coming days, including cancellations and substitutions, and emails
+   * changes since the last run. The timetable is captured from the API responses the schedules
+   * module receives. As for exams, we request the timetables of other students ourselves. Only
+   * deviations from the regular timetable are stored and compared.
+   */
+  async readSubstitutions() {
+    const current = {}; // same format as this.#state.substitutions, but only for days read
+    const pending = [];
+    let lessonsCall = null;
+    const todayDate = toICalDate(new Date(NOW).toISOString(), true);
+    const onData = (data, call) => {
+      checkApiData(CAPTURED_ENDPOINTS.lessons, Array.isArray(data) && data.every(entry =>
+        typeof entry.date === 'string' && entry.classHour && entry.classHour.number
+            && (entry.actualLesson || (entry.originalLessons || []).length)
+            && (!entry.actualLesson || isValidLesson(entry.actualLesson))
+            && (entry.originalLessons || []).every(isValidLesson)), data);
+      lessonsCall = call;
+      const student = this.studentOfCall(call);
+      const days = current[student ? student.id : 'default'] ||= {};
+      for (const entry of data) {
+        if (entry.date.replace(/-/g, '') < todayDate) {
+          continue;
+        }
+        const day = days[entry.date] ||= {};
+        const change = describeLessonChange(entry);
+        const period = entry.classHour.number;
+        if (change) {
+          day[period] = day[period] ? `${day[period]}; ${change}` : change;
+        }
+      }
+    };
+    const listener = this.createApiListener([CAPTURED_ENDPOINTS.lessons], pending, onData);
+    this.#page.on('response', listener);
+    try {
+      await this.#page.goto('https://login.schulmanager-online.de/#/modules/schedules/view');
+      await this.#page.waitForNetworkIdle({ idleTime: 500 });
+      await Promise.all(pending);
+    } finally {
+      this.#page.off('response', listener);
+    }
+    if (!lessonsCall) {
+      LOG.info('Found no timetable');
+      return;
+    }
+    await this.callApiForStudents(lessonsCall, new Set(Object.keys(current)), onData);
+
+    // Compare days that were read, and drop past days. Other days remain unchanged. Students that
+    // are no longer linked are dropped with their last day. Students that were read are kept even
+    // without deviations, to tell the first run (see below) from a run without changes.
+    let numChanges = 0;
+    for (const id of new Set([...Object.keys(this.#state.substitutions),
+        ...Object.keys(current)])) {
+      const previousDays = this.#state.substitutions[id] || {};
+      const currentDays = current[id] || {};
+      const summaries = [];
+      const next = {};
+      for (const date of Object.keys({ ...previousDays, ...currentDays }).sort()) {
+        if (date.replace(/-/g, '') < todayDate) {
+          continue;
+        }
+        if (!currentDays[date]) {
+          next[date] = previousDays[date];
+          continue;
+        }
+        next[date] = currentDays[date];
+        const previousDay = previousDays[date] || {};
+        for (const [period, change] of Object.entries(currentDays[date])) {
+          if (previousDay[period] !== change) {
+            summaries.push(substitutionSummary(date, period, change, false));
+          }
+        }
+        for (const [period, change] of Object.entries(previousDay)) {
+          if (!(period in currentDays[date])) {
+            summaries.push(substitutionSummary(date, period, change, true));
+          }
+        }
+      }
+      const update = () => {
+        if (Object.keys(next).length || current[id]) {
+          this.#state.substitutions[id] = next;
+        } else {
+          delete this.#state.substitutions[id];
+        }
+      };
+      // On the first run for a student there is nothing to compare to, so we silently store the
+      // baseline instead of reporting every deviation in the coming days.
+      if (!(id in this.#state.substitutions)) {
+        LOG.info(`Storing initial substitution plan${id === 'default' ? '' : ` of student ${id}`}`);
+        update();
+        continue;
+      }
+      numChanges += summaries.length;
+      if (!summaries.length) {
+        update(); // Past days may have been dropped.
+        continue;
+      }
+
+      const summary = summaries.join('\n');
+      INBOUND.push({
+        email: this.buildEmailSubstitutions({
+          text: summary,
+          html: `<!DOCTYPE html><html><head><title>Vertretungsplan</title></head><body><p>${
+              escapeHtml(summary).replace(/\n/g, '<br>')}</p></body></html>`
+        }, this.#students.filter(s => s.id === id)),
+        ok: update
+      });
+    }
+    LOG.info(`Found ${numChanges} substitution plan change(s)`);
+  }
+
+  /**
+   * Emails new messages in all messenger conversations, threaded per conversation. Replies to these
+   * emails are posted to the conversation (see sendMessengerReplies()).
+   */
+  async readMessenger() {
+    const conversations = await this.callApi('messenger', MESSENGER_ENDPOINTS.conversations, {});
+    checkApiData(`messenger/${MESSENGER_ENDPOINTS.conversations}`, Array.isArray(conversations)
+        && conversations.every(c => c.id && c.thread && typeof c.thread.subject === 'string'),
+        conversations);
+    // Prune state.
+    const ids = new Set(conversations.map(c => String(c.id)));
+    for (const section of [this.#state.conversations, this.#state.messages]) {
+      Object.keys(section).filter(id => !ids.has(id)).forEach(id => delete section[id]);
+    }
+
+    const account = ob.schulmanagerAccount(this.#config);
+    let numEmails = 0;
+    for (const conversation of conversations) {
+      const id = String(conversation.id);
+      // Skip conversations without new messages.
+      const activity = conversation.thread.lastMessageTimestamp || null;
+      if (activity && this.#state.conversations[id] === activity) {
+        continue;
+      }
+      const data = await this.callApi(
+          'messenger', MESSENGER_ENDPOINTS.messages, { subscriptionId: conversation.id });
+      checkApiData(`messenger/${MESSENGER_ENDPOINTS.messages}`, Array.isArray(data) && data.every(
+          m => m.id && typeof m.text === 'string' && m.createdAt && m.sender
+              && Array.isArray(m.attachments)), data);
+      const messages = data
+          .map(m => {
+            return {
+              id: String(m.id),
+              text: m.text,
+              date: m.createdAt,
+              author: `${m.sender.firstName} ${m.sender.lastName}`.trim(),
+              attachments: m.attachments.map(a => a.filename)
+            };
+          })
+          .sort((a, b) => new Date(a.date) - new Date(b.date));
+      const processed = this.#state.messages[id] ||= {};
+      const subject = conversation.thread.subject.trim() || 'Nachricht';
+      let numPending = messages.filter(m => !processed[m.id]).length;
+      if (!numPending) {
+        this.#state.conversations[id] = activity;
+        continue;
+      }
+      messages.forEach((m, i) => {
+        if (processed[m.id]) {
+          return;
+        }
+        // Attachments are not downloaded, but listed so the user knows to check the website.
+        const text = m.attachments.length
+            ? `${m.text}\n\n[Anhänge auf der Website: ${m.attachments.join(', ')}]`
+            : m.text;
+        const email = this.buildEmailMessenger(m.author || 'Messenger', subject, {
+          messageId: messengerMessageId(account, id, m.id),
+          text: text,
+          date: new Date(m.date)
+        });
+        if (CONFIG.options.incomingEmail.forwardingAddress) {
+          // The In-Reply-To of the reply identifies the conversation (see outbound.js).
+          email.replyTo =
+              `"${this.#config.tag} Messenger" <${CONFIG.options.incomingEmail.forwardingAddress}>`;
+        }
+        if (i > 0) {
+          email.references = [messengerMessageId(account, id, messages[i - 1].id)];
+          email.subject = 'Re: ' + email.subject;
+        }
+        ++numEmails;
+        INBOUND.push({
+          email: email,
+          ok: () => {
+            processed[m.id] = NOW;
+            // Remember the activity only when all messages are emailed, so failures are retried.
+            if (!--numPending) {
+              this.#state.conversations[id] = activity;
+            }
+          }
+        });
+      });
+    }
+    LOG.info(`Found ${numEmails} new messenger message(s) in ${
+        conversations.length} conversation(s)`);
+  }
+
+  /**
+   * Posts replies to messenger emails, received via IMAP. As for Eltern-Portal (cf.
+   * sendMessagesToTeachers()) we never retry posting, so each reply is removed from OUTBOUND when
+   * done, successfully or not.
+   */
+  async sendMessengerReplies() {
+    const outbound = ob.takeOutbound(this.#config, 'messenger');
+    LOG.info(`Sending ${outbound.length} messenger replies`);
+    for (const msg of outbound) {
+      try {
+        await ob.markOutboundEmailDone(msg);
+        ob.setOutboundState(msg, 'posting');
+        await this.callApi('messenger', MESSENGER_ENDPOINTS.send,
+            { subscriptionId: msg.conversationId, text: msg.text });
+        ob.setOutboundState(msg, 'posted');
+        LOG.info(`Sent reply to conversation ${msg.conversationId}`);
+        this.sendReceipt(msg, 'Messenger',
+            `Die Antwort wurde im Schulmanager-Messenger gesendet.\n\n`
+            + `Zeitpunkt: ${new Date().toLocaleString('de-DE')}`);
+      } catch (e) {
+        LOG.error(`Failed to send reply to conversation ${msg.conversationId}: ${e}`);
+        INBOUND.push({
+          email: em.buildEmailAdmin(
+            'Nachrichtenversand fehlgeschlagen',
+            {
+              text: `Antwort in Unterhaltung ${msg.conversationId} (${this.#config.tag}) konnte `
+                + `nicht gesendet werden.\n\nFehler:\n${e}\n\nWeitere Details im Logfile.`
+            }),
+          ok: () => {}
+        });
+        this.sendReceipt(msg, 'Messenger',
+            `Die Antwort konnte NICHT gesendet werden. Bitte auf der Website prüfen.\n\n`
+            + `Fehler:\n${e}`,
+            true);
+      } finally {
+        ob.removeOutbound(msg);
+      }
+    }
+  }
+
+  /**
+   * Replies to the sender of a messenger reply or letter response with a delivery receipt, if
+   * enabled, or a failure notice (cf. ElternPortal.sendReceipt()).
+   */
+  sendReceipt(msg, what, text, failure = false) {
+    if (!msg.replyTo || (!failure && !CONFIG.options.incomingEmail.deliveryReceipts)) {
+      return;
+    }
+    INBOUND.push({
+      email: ob.buildEmailReply(this.#config, msg.replyTo, what, { text: text }),
+      ok: () => {}
+    });
   }
 
   buildEmailsForLetters(letters) {
     for (const letter of letters) {
+      const students = this.#students.filter(s => letter.studentKeys.includes(s.id));
+      const response = this.pendingResponse(letter);
       const email = this.buildEmailElternbrief(letter.subject, {
-        // Let the message ID be random; we never reference this message.
+        // Let the message ID be random unless a response is required, see addResponseInstructions()
         text: letter.text,
         html: letter.html,
         date: new Date(letter.dateString),
         attachments: letter.attachments
+      }, students);
+      if (response) {
+        this.addResponseInstructions(email, letter.id, response);
+      }
+      INBOUND.push({
+        email: email,
+        ok: () => {
+          letter.studentKeys.forEach(key => (this.#state.letters[key] ||= {})[letter.id] = NOW);
+          if (response) {
+            this.#state.responses[letter.id] ||= this.responseState(letter, response);
+          }
+        }
       });
+    }
+  }
+
+  /**
+   * Builds an email in the specified category (cf. "recipients") concerning the specified students,
+   * or concerning the whole account. The sender name is the tag followed by "what".
+   */
+  buildEmailFor(category, what, subject, options, students = []) {
+    const { tag, recipients } = this.addressing(category, students);
+    const label = this.studentLabel(students);
+    return em.buildEmail(
+        `${tag} ${what}`,
+        recipients,
+        label ? `${subject} (${label})` : subject,
+        options);
+  }
+
+  /** Returns the response required for the letter (see parseLetterResponse()) if pending. */
+  pendingResponse(letter) {
+    return typeof letter.id === 'number' && letter.response && letter.response.studentIds.length
+        ? letter.response
+        : null;
+  }
+
+  /** Returns the entry for state.responses for the letter's pending response. */
+  responseState(letter, response) {
+    return {
+      ...response,
+      subject: letter.subject,
+      dateString: letter.dateString,
+      reminded: 0,
+      answered: 0
+    };
+  }
+
+  /**
+   * Updates the pending responses in the state from the letters currently shown, which were
+   * processed before. This covers responses given on the website, and letters emailed before
+   * responses were supported.
+   */
+  updateResponses(letters) {
+    for (const letter of letters) {
+      const response = this.pendingResponse(letter);
+      const known = this.#state.responses[letter.id];
+      if (!response) {
+        delete this.#state.responses[letter.id];
+      } else if (known) {
+        known.studentIds = response.studentIds;
+        known.deadline = response.deadline;
+      } else {
+        this.#state.responses[letter.id] = this.responseState(letter, response);
+      }
+    }
+  }
+
+  /**
+   * Adds instructions for a required response to the email for a letter. If IMAP is configured,
+   * the response can be given by replying, and the In-Reply-To identifies the letter (see
+   * outbound.js). The suffix distinguishes e.g. a reminder from the original email.
+   */
+  addResponseInstructions(email, letterId, response, suffix = '') {
+    const replyable = !!CONFIG.options.incomingEmail.forwardingAddress;
+    const instructions = responseInstructions(response, replyable);
+    email.text = `${email.text}\n\n${instructions}`;
+    if (email.html) {
+      email.html = email.html.replace('</body>',
+          `<hr><p>${escapeHtml(instructions).replace(/\n/g, '<br>')}</p></body>`);
+    }
+    const messageIdBase = `letter-${ob.schulmanagerAccount(this.#config)}-${letterId}`;
+    email.messageId = em.buildMessageId(messageIdBase + suffix);
+    if (suffix) {
+      email.references = [em.buildMessageId(messageIdBase)];
+    }
+    if (replyable) {
+      email.replyTo = `"${this.#config.tag} Elternbrief" <${
+          CONFIG.options.incomingEmail.forwardingAddress}>`;
+    }
+  }
+
+  /**
+   * Sends a reminder for each response that is still pending (see state.responses) shortly before
+   * the deadline, as configured in responseReminderDays (default 1). These include letters that are
+   * no longer shown in the list, which we usually don't expand (see expandLetters()).
+   */
+  buildEmailsForResponseReminders() {
+    const reminderMillis = (this.#config.responseReminderDays ?? 1) * DAY_MILLIS;
+    for (const [id, response] of Object.entries(this.#state.responses)) {
+      if (!response.studentIds.length || !response.deadline || response.deadline < NOW
+          || response.deadline - NOW > reminderMillis || response.reminded || response.answered) {
+        continue;
+      }
+      LOG.info(`Sending reminder for response to letter "${response.subject}"`);
+      const email = this.buildEmailElternbrief(`Erinnerung: ${response.subject}`, {
+        text: `Für den Elternbrief "${response.subject}" vom ${
+            new Date(response.dateString).toLocaleDateString('de-DE')} steht die Rückmeldung aus.`
+      }, this.#students.filter(s => response.studentIds.includes(s.id)));
+      this.addResponseInstructions(email, id, response, '-reminder');
       INBOUND.push({
         email: email,
-        ok: () => { this.#state.letters[letter.id] = 1; }
+        ok: () => { response.reminded = NOW; }
       });
     }
   }
 
-  buildEmailElternbrief(subject, options) {
+  /**
+   * Submits responses to letters, received via IMAP as replies to the letter's email (see
+   * addResponseInstructions()). As for messenger replies, we never retry. For several students
+   * the response is submitted for each, journaled as one part per student (cf. partsPosted).
+   */
+  async submitLetterResponses() {
+    const outbound = ob.takeOutbound(this.#config, 'letter');
+    LOG.info(`Submitting ${outbound.length} letter response(s)`);
+    for (const msg of outbound) {
+      const response = this.#state.responses[msg.letterId];
+      let answer = null;
+      try {
+        // An invalid reply is done as well, the sender is notified below.
+        await ob.markOutboundEmailDone(msg);
+        if (!response) {
+          throw 'Zu diesem Elternbrief ist keine Rückmeldung (mehr) möglich.';
+        }
+        answer = parseResponseReply(response, msg.text);
+        const studentIds = response.studentIds.length ? response.studentIds : [''];
+        const apiId = id => /^\d+$/.test(id) ? Number(id) : id;
+        for (let i = msg.partsPosted; i < studentIds.length; ++i) {
+          const parameters = { letterId: apiId(msg.letterId) };
+          if (studentIds[i]) {
+            parameters.studentId = apiId(studentIds[i]);
+          }
+          ob.setOutboundState(msg, 'posting');
+          if (response.type === 'confirm') {
+            await this.callApi('letters', LETTER_ENDPOINTS.confirm, parameters);
+          } else {
+            await this.callApi('letters', LETTER_ENDPOINTS.respond,
+                { ...parameters, response: answer });
+          }
+          ob.setOutboundState(msg, 'posted');
+        }
+        response.answered = NOW;
+        LOG.info(`Submitted response to letter ${msg.letterId}`);
+        this.sendReceipt(msg, 'Elternbrief', `Die Rückmeldung "${answer}" wurde gesendet.\n\n`
+            + `Zeitpunkt: ${new Date().toLocaleString('de-DE')}`);
+      } catch (e) {
+        LOG.error(`Failed to submit response to letter ${msg.letterId}: ${e}`);
+        if (answer !== null) { // Otherwise the reply was invalid, which is not an error here.
+          INBOUND.push({
+            email: em.buildEmailAdmin(
+              'Rückmeldung fehlgeschlagen',
+              {
+                text: `Rückmeldung zu Elternbrief ${msg.letterId} (${this.#config.tag}) konnte `
+                  + `nicht gesendet werden.\n\nFehler:\n${e}\n\nWeitere Details im Logfile.`
+              }),
+            ok: () => {}
+          });
+        }
+        this.sendReceipt(msg, 'Elternbrief',
+            `Die Rückmeldung konnte NICHT (vollständig) gesendet werden.\n\nFehler:\n${e}`, true);
+      } finally {
+        ob.removeOutbound(msg);
+      }
+    }
+  }
+
+  buildEmailElternbrief(subject, options, students) {
+    return this.buildEmailFor('elternbriefe', 'Elternbrief', subject, options, students);
+  }
+
+  buildEmailMessenger(author, subject, options) {
+    return this.buildEmailFor('lehrerkommunikation', author, subject, options);
+  }
+
+  buildEmailSubstitutions(options, students) {
+    return this.buildEmailFor('vertretungsplan', 'Vertretungsplan', 'Vertretungsplan', options,
+        students);
+  }
+
+  // Events are labeled with their student individually (see toEvents()), and emails are grouped
+  // by addressing (see readEvents()).
+  buildEmailEvents(options, addressing) {
     return em.buildEmail(
-        `${this.#config.tag} Elternbrief`,
-        this.#config.recipients['*'].concat(this.#config.recipients.elternbriefe),
-        subject,
+        `${addressing.tag} Termine`,
+        addressing.recipients,
+        'Bevorstehende Termine',
         options);
   }
 }
 
-module.exports = { Schulmanager }
+module.exports = {
+  Schulmanager,
+  calendarRangeEnd,
+  describeLessonChange,
+  isValidLesson,
+  isValidLetterResponse,
+  messengerMessageId,
+  parseLetterResponse,
+  parseResponseReply
+}
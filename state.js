@@ -0,0 +1,14 @@
+// ---------- Job state ----------
+
+/**
+ * Adds the keys of emptyState that are missing in state, recursively for objects. Values are
+ * copied, because several jobs of the same system must not share the objects in emptyState.
+ */
+function fillState(state, emptyState) {
+  for (const [key, value] of Object.entries(emptyState)) {
+    state[key] ||= structuredClone(value);
+    fillState(state[key], value); // Recurse for objects.
+  }
+}
+
+module.exports = { fillState };
@@ -0,0 +1,171 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const md5 = require('md5');
+
+global.LOG = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+global.USER_AGENT = 'Eltern-Emailer test';
+global.INBOUND = [];
+global.CONFIG = { options: { adminAddress: 'admin@example.com' } };
+
+const {
+  ElternPortal,
+  findMovedEvents,
+  noticeBoardHash,
+  parseSubstitutionRow,
+  splitMessage,
+  substitutionSummary
+} = require('../elternportal.js');
+
+test('splitMessage keeps short messages', () => {
+  assert.deepStrictEqual(splitMessage('Hallo', 10), ['Hallo']);
+  assert.deepStrictEqual(splitMessage('x'.repeat(10), 10), ['x'.repeat(10)]);
+});
+
+test('splitMessage prefixes parts and respects the size limit', () => {
+  const text = Array.from({length: 40}, (_, i) => `Wort${i}`).join(' ');
+  const parts = splitMessage(text, 50);
+  assert.ok(parts.length > 1);
+  parts.forEach((part, i) => {
+    assert.ok(part.startsWith(`[${i + 1}/${parts.length}] `));
+    assert.ok(part.length <= 50, part);
+  });
+  assert.strictEqual(parts.map(p => p.replace(/^\[\d+\/\d+\] /, '')).join(' '), text);
+});
+
+test('splitMessage prefers paragraphs over sentences over words', () => {
+  const paragraph = 'Erster Satz. Zweiter Satz.';
+  assert.deepStrictEqual(splitMessage(`${paragraph}\n\nNoch ein Absatz.`, 40),
+      [`[1/2] ${paragraph}`, '[2/2] Noch ein Absatz.']);
+  assert.deepStrictEqual(splitMessage('Erster Satz. Zweiter Satz ist lang.', 30),
+      ['[1/2] Erster Satz.', '[2/2] Zweiter Satz ist lang.']);
+});
+
+test('splitMessage splits within a word only if there is no boundary in the second half', () => {
+  const parts = splitMessage('a ' + 'x'.repeat(30), 20);
+  assert.strictEqual(parts[0], `[1/3] a ${'x'.repeat(10)}`);
+  assert.strictEqual(parts.map(p => p.replace(/^\[\d+\/\d+\] /, '')).join(''),
+      'a ' + 'x'.repeat(30));
+});
+
+test('splitMessage terminates for the smallest valid size limit', () => {
+  const parts = splitMessage('abc def ghi', 9);
+  assert.strictEqual(parts.length, 9);
+  assert.strictEqual(parts.map(p => p.replace(/^\[\d+\/\d+\] /, '')).join(''), 'abcdefghi');
+});
+
+test('jobs get their own copy of the initial state', () => {
+  const [a, b] = [{}, {}];
+  new ElternPortal({}, a, null);
+  new ElternPortal({}, b, null);
+  assert.deepStrictEqual(a, b);
+  a.announcements[1] = 1;
+  a.hashes.notices.x = 1;
+  assert.deepStrictEqual(b.announcements, {});
+  assert.deepStrictEqual(b.hashes.notices, {});
+  // Existing state is kept.
+  const c = { announcements: { 2: 1 }, hashes: {} };
+  new ElternPortal({}, c, null);
+  assert.deepStrictEqual(c.announcements, { 2: 1 });
+  assert.deepStrictEqual(c.hashes.notices, {});
+});
+
+test('noticeBoardHash ignores CSRF tokens and whitespace', () => {
+  const entry = (content, url) => ({ subject: 'Ausflug', content: content,
+      attachments: url ? [{ url: url, name: 'Info.pdf' }] : [] });
+  const url = 'https://x.eltern-portal.org/aktuelles/get_file/?repo=1&csrf=';
+  assert.strictEqual(noticeBoardHash(entry('<p>Am  Montag</p>\n', url + 'abc1')),
+      noticeBoardHash(entry(' <p>Am Montag</p>', url + 'def2')));
+  // Another file or another text is an update.
+  assert.notStrictEqual(noticeBoardHash(entry('<p>Am Montag</p>', url + 'abc1')),
+      noticeBoardHash(entry('<p>Am Montag</p>', url.replace('repo=1', 'repo=2') + 'abc1')));
+  assert.notStrictEqual(noticeBoardHash(entry('<p>Am Montag</p>')),
+      noticeBoardHash(entry('<p>Am Dienstag</p>')));
+  // Without attachments the hash is the one used before attachments were supported.
+  assert.strictEqual(noticeBoardHash(entry('<p>Am Montag</p>')),
+      md5(`${md5('Ausflug')} ${md5('<p>Am Montag</p>')}`));
+});
+
+/** Returns an event as read from the portal, at 0:00 on the specified day of March 2024. */
+function event(day, description) {
+  const date = `202403${String(day).padStart(2, '0')}`;
+  return { ts: new Date(2024, 2, day).getTime(), description: description,
+      descriptionHtml: description, dates: `${date}/${date}` };
+}
+
+test('findMovedEvents pairs new and removed events with similar descriptions and dates', () => {
+  const removed = [event(4, 'Schulaufgabe Mathematik'), event(5, 'Elternabend der Klassen 5a-5d')];
+  const added = [event(11, 'Schulaufgabe Mathematik'),
+      event(6, 'Elternabend der Klassen 5a-5d (Aula)'), event(7, 'Wandertag')];
+  const moved = findMovedEvents(added, removed);
+  assert.deepStrictEqual(moved.map(e => [e.description, e.status, e.previous.description]), [
+    ['Schulaufgabe Mathematik', 2, 'Schulaufgabe Mathematik'],
+    ['Elternabend der Klassen 5a-5d (Aula)', 2, 'Elternabend der Klassen 5a-5d']
+  ]);
+});
+
+test('findMovedEvents ignores distant dates and pairs each event at most once', () => {
+  assert.deepStrictEqual(
+      findMovedEvents([event(30, 'Schulaufgabe Mathe')], [event(4, 'Schulaufgabe Mathe')]), []);
+  // The closer of two identical candidates is paired, the other one is new.
+  const moved = findMovedEvents([event(12, 'Wandertag'), event(6, 'Wandertag')],
+      [event(4, 'Wandertag')]);
+  assert.deepStrictEqual(moved.map(e => [e.ts, e.previous.ts]),
+      [[event(6).ts, event(4).ts]]);
+});
+
+test('buildEmailsForReminders sends each reminder once, and only the latest one due', () => {
+  const state = {};
+  const ep = new ElternPortal({
+    tag: 'EP',
+    url: 'https://x.eltern-portal.org',
+    recipients: { '*': ['parent@example.com'], termine: [] },
+    reminderDays: { schulaufgaben: [7, 1] }
+  }, state, null);
+  const exam = { ...event(8, 'Schulaufgabe Mathematik'), type: 'schulaufgaben' };
+  const other = { ...event(8, 'Wandertag'), type: 'allgemein' };
+  const remind = day => {
+    INBOUND = [];
+    ep.buildEmailsForReminders([exam, other], event(day).ts);
+    INBOUND.forEach(i => i.ok());
+    return INBOUND.map(i => i.email.subject);
+  };
+  // Added late, so the reminder 7 days ahead is due as well. Only one email is sent for both.
+  assert.deepStrictEqual(remind(3), ['Schulaufgabe Mathematik (in 5 Tagen)']);
+  assert.deepStrictEqual(remind(4), []);
+  assert.deepStrictEqual(remind(7), ['Schulaufgabe Mathematik (morgen)']);
+  assert.deepStrictEqual(remind(8), []);
+  // Past events are removed from the state.
+  remind(9);
+  assert.deepStrictEqual(state.reminders, {});
+});
+
+test('parseSubstitutionRow maps cells by column name and adds unmapped cells to the note', () => {
+  assert.deepStrictEqual(
+      parseSubstitutionRow(['Klasse', 'Std.', 'Fach', 'Vertretung', 'Raum', 'Art', 'Info'],
+          ['5a', '3', 'M', 'Hu', '', 'Entfall', 'Aufgaben im Portal']),
+      { period: '3', class: '5a', subject: 'M', teacher: 'Hu', room: '',
+        note: 'Aufgaben im Portal, Entfall' });
+  // Without column names the cells are in the default order.
+  assert.deepStrictEqual(parseSubstitutionRow([], ['2', '6b', 'E', 'Mü', '104']),
+      { period: '2', class: '6b', subject: 'E', teacher: 'Mü', room: '104', note: '' });
+});
+
+test('substitutionSummary describes a change in one line', () => {
+  const day = { date: '12.03.2024', ts: new Date(2024, 2, 12).getTime() };
+  const row = { period: '3.', class: '5a', subject: 'M', teacher: 'Hu', room: '104', note: '' };
+  assert.strictEqual(substitutionSummary(day, { ...row, status: 1 }),
+      'Di 12.03.: 3. Std. M (5a) Vertretung Hu, Raum 104');
+  assert.strictEqual(substitutionSummary(day, { ...row, note: 'entfällt', status: -1 }),
+      'Nicht mehr im Plan: Di 12.03.: 3. Std. M (5a) entfällt');
+});
+
+test('matchesSubstitutionFilter matches class or subject, case insensitive', () => {
+  const row = { class: '5a, 5b', subject: 'Ev' };
+  const matches = filter => new ElternPortal({ substitutionFilter: filter }, {}, null)
+      .matchesSubstitutionFilter(row);
+  assert.ok(matches([]));
+  assert.ok(matches(['5A']));
+  assert.ok(matches(['6c', 'ev']));
+  assert.ok(!matches(['6c', 'K']));
+});
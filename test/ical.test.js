@@ -0,0 +1,57 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+global.NOW = Date.UTC(2025, 2, 1, 12, 0, 0);
+
+const ical = require('../ical.js');
+
+test('fold keeps short lines', () => {
+  const line = 'x'.repeat(75);
+  assert.strictEqual(ical.fold(line), line);
+});
+
+test('fold splits long lines at 75 octets, continuation lines included', () => {
+  const folded = ical.fold('x'.repeat(200));
+  const lines = folded.split('\r\n');
+  assert.deepStrictEqual(lines.map(l => l.length), [75, 75, 52]);
+  assert.ok(lines.slice(1).every(l => l.startsWith(' ')));
+  assert.strictEqual(folded.replace(/\r\n /g, ''), 'x'.repeat(200));
+});
+
+test('fold never splits multibyte characters', () => {
+  const folded = ical.fold('ä'.repeat(100));
+  for (const line of folded.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75);
+  }
+  assert.strictEqual(folded.replace(/\r\n /g, ''), 'ä'.repeat(100));
+});
+
+test('buildCalendarUpdate publishes new and cancelled events in a single calendar', () => {
+  const calendar = ical.buildCalendarUpdate([
+    { uid: 'new@example.com', summary: 'Wandertag', start: '20250310' },
+    { uid: 'old@example.com', summary: 'Elternabend, Aula', start: '20250311T190000',
+      end: '20250311T210000', sequence: 1, cancelled: true }
+  ]);
+  const lines = calendar.split('\r\n');
+  assert.strictEqual(lines.filter(l => l === 'BEGIN:VCALENDAR').length, 1);
+  assert.ok(lines.includes('METHOD:PUBLISH'));
+  assert.ok(!calendar.includes('METHOD:CANCEL'));
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+
+  const events = calendar.split('BEGIN:VEVENT').slice(1);
+  assert.strictEqual(events.length, 2);
+  assert.ok(events[0].includes('DTSTART;VALUE=DATE:20250310'));
+  assert.ok(events[0].includes('DTEND;VALUE=DATE:20250311'));
+  assert.ok(!events[0].includes('STATUS:'));
+  assert.ok(!events[0].includes('SEQUENCE:'));
+  assert.ok(events[1].includes('SUMMARY:Elternabend\\, Aula'));
+  assert.ok(events[1].includes('STATUS:CANCELLED'));
+  assert.ok(events[1].includes('SEQUENCE:2'));
+  assert.ok(events[1].includes('DTSTAMP:20250301T120000Z'));
+});
+
+test('buildCalendarUpdate falls back to the start for an end before the start', () => {
+  const calendar = ical.buildCalendarUpdate(
+      [{ uid: 'x@example.com', summary: 'x', start: '20250331', end: '20250330' }]);
+  assert.ok(calendar.includes('DTEND;VALUE=DATE:20250401'));
+});
@@ -0,0 +1,64 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { handleStatusRequest, jobsForNotification, validateJobConfigs } = require('../main.js');
+
+global.LOG = { debug: () => {} };
+
+/** Sets the jobs in CONFIG and validates them, which compiles their "wakeOn" patterns. */
+function setJobs(jobs) {
+  CONFIG = { jobs: jobs };
+  validateJobConfigs();
+}
+
+test('jobsForNotification returns the jobs whose wakeOn patterns match', () => {
+  setJobs({
+    sm: { active: true, wakeOn: { from: 'schulmanager', subject: '' } },
+    ep: { active: true, wakeOn: { from: 'eltern-portal', subject: 'neue nachricht' } },
+    isy: { active: true }
+  });
+  assert.deepStrictEqual(jobsForNotification(
+      { from: 'noreply@Schulmanager-Online.de', subject: 'Neuer Elternbrief' }), ['sm']);
+  assert.deepStrictEqual(jobsForNotification(
+      { from: 'info@eltern-portal.org', subject: 'Neue Nachricht von Frau X' }), ['ep']);
+});
+
+test('jobsForNotification falls back to the jobs without wakeOn', () => {
+  setJobs({
+    ep: { active: true, wakeOn: { from: 'eltern-portal', subject: 'neue nachricht' } },
+    isy: { active: true },
+    inactive: { active: false }
+  });
+  // The subject doesn't match, so this is not a notification for "ep".
+  assert.deepStrictEqual(
+      jobsForNotification({ from: 'info@eltern-portal.org', subject: 'Krankmeldung' }), ['isy']);
+  setJobs({ a: { active: true }, b: { active: true } });
+  assert.deepStrictEqual(jobsForNotification({ from: 'x@example.com', subject: '' }), ['a', 'b']);
+});
+
+test('validateJobConfigs rejects invalid wakeOn patterns', () => {
+  assert.throws(() => setJobs({ sm: { active: true, wakeOn: { from: '(' } } }),
+      /Job "sm": Invalid wakeOn.from pattern/);
+});
+
+test('validateJobConfigs rejects a messageSizeLimit of 8 or less', () => {
+  assert.throws(() => setJobs({ ep: { messageSizeLimit: 8 } }), /messageSizeLimit/);
+  assert.throws(() => setJobs({ ep: { messageSizeLimit: '512' } }), /messageSizeLimit/);
+  setJobs({ ep: { messageSizeLimit: 9 }, sm: {} });
+});
+
+/** Returns the status code handleStatusRequest() responds with for the URL. */
+function statusCode(url) {
+  const res = { statusCode: 200, setHeader: () => {}, write: () => {}, end: () => {} };
+  handleStatusRequest({ url: url }, res);
+  return res.statusCode;
+}
+
+test('handleStatusRequest rejects malformed and unknown calendar names', () => {
+  CONFIG = { jobs: { sm: { active: true } } };
+  assert.strictEqual(statusCode('/calendar/%E0.ics'), 400);
+  assert.strictEqual(statusCode('/calendar/unknown.ics'), 404);
+  assert.strictEqual(statusCode('/calendar/constructor.ics'), 404);
+  assert.strictEqual(statusCode('/calendar/sm.ics'), 404); // no calendarFeed
+  assert.strictEqual(statusCode('/'), 200);
+});
@@ -0,0 +1,268 @@
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+global.LOG = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+global.USER_AGENT = 'Eltern-Emailer test';
+global.INBOUND = [];
+global.CONFIG = {
+  options: { adminAddress: 'admin@example.com', incomingEmail: {} },
+  jobs: { theo: { system: 'elternportal', active: true, tag: 'EP', forwardingTag: 'theo' } }
+};
+
+const ob = require('../outbound.js');
+const { Schulmanager, messengerMessageId } = require('../schulmanager.js');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'eltern-emailer-test-'));
+after(() => fs.removeSync(TMP_DIR));
+
+/** Writes the messages to a new journal file and reads it. Returns the file. */
+function readJournal(messages) {
+  const file = path.join(fs.mkdtempSync(path.join(TMP_DIR, 'job-')), 'outbound.json');
+  fs.writeFileSync(file, JSON.stringify(messages));
+  INBOUND = [];
+  ob.readOutbound(file);
+  return file;
+}
+
+const readFile = file => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+test('readOutbound resumes journaled messages and drops interrupted ones', () => {
+  const replyTo = { from: 'parent@example.com', subject: 'Frage', messageId: '<1@example.com>' };
+  const file = readJournal([
+    { type: 'teacher', forwardingTag: 'theo', teacherId: 1, text: 'a', state: 'marked',
+      partsPosted: 0 },
+    { type: 'teacher', forwardingTag: 'theo', teacherId: 2, text: 'b', state: 'posting',
+      partsPosted: 1, replyTo: replyTo },
+    { type: 'inquiry', forwardingTag: 'theo', subject: 'c', text: 'c', state: 'posted',
+      partsPosted: 2 }
+  ]);
+  const config = CONFIG.jobs.theo;
+  assert.deepStrictEqual(ob.takeOutbound(config, 'teacher').map(m => m.teacherId), [1]);
+  assert.strictEqual(ob.takeOutbound(config, 'inquiry')[0].partsPosted, 2);
+  assert.deepStrictEqual(readFile(file).map(m => m.state), ['marked', 'posted']);
+  // The admin and the sender are told about the interrupted message.
+  assert.strictEqual(INBOUND.length, 2);
+  assert.strictEqual(INBOUND[0].email.to, 'admin@example.com');
+  assert.match(INBOUND[0].email.text, /Teil 2/);
+  assert.deepStrictEqual(INBOUND[1].email.to, ['parent@example.com']);
+  assert.strictEqual(INBOUND[1].email.inReplyTo, '<1@example.com>');
+});
+
+test('outbound state transitions are journaled', async () => {
+  const file = readJournal([{ type: 'teacher', forwardingTag: 'theo', teacherId: 1, text: 'a',
+      state: 'marked', partsPosted: 0 }]);
+  const [msg] = ob.takeOutbound(CONFIG.jobs.theo, 'teacher');
+  await ob.markOutboundEmailDone(msg); // already marked, so no IMAP access
+  assert.strictEqual(readFile(file)[0].state, 'marked');
+  ob.setOutboundState(msg, 'posting');
+  assert.deepStrictEqual(readFile(file)[0], {...msg, state: 'posting', partsPosted: 0});
+  ob.setOutboundState(msg, 'posted');
+  assert.deepStrictEqual(readFile(file)[0], {...msg, state: 'posted', partsPosted: 1});
+  assert.throws(() => ob.setOutboundState(msg, 'sent'), /Invalid outbound state/);
+  assert.ok(ob.haveOutbound(CONFIG.jobs.theo));
+  ob.removeOutbound(msg);
+  assert.deepStrictEqual(readFile(file), []);
+  assert.ok(!ob.haveOutbound());
+});
+
+test('takeOutbound only returns messages of active jobs with the matching forwardingTag', () => {
+  readJournal([{ type: 'teacher', forwardingTag: 'other', teacherId: 1, text: 'a',
+      state: 'received', partsPosted: 0 }]);
+  assert.deepStrictEqual(ob.takeOutbound(CONFIG.jobs.theo, 'teacher'), []);
+  assert.ok(!ob.haveOutbound(CONFIG.jobs.theo));
+});
+
+test('stripReplyText removes quoted text and signatures', () => {
+  assert.strictEqual(ob.stripReplyText(
+      'Danke!\n\nAm 01.03.2025 um 10:00 schrieb Frau Müller:\n> Hallo'), 'Danke!');
+  assert.strictEqual(ob.stripReplyText('Danke!\n-- \nMax Mustermann'), 'Danke!');
+  assert.strictEqual(ob.stripReplyText('Danke!\n\nVon meinem iPhone gesendet'), 'Danke!');
+  assert.strictEqual(ob.stripReplyText('Ja.\n> Kommt Max?\nNein.'), 'Ja.\nNein.');
+});
+
+test('stripReplyText handles wrapped reply headers and Outlook header blocks', () => {
+  assert.strictEqual(ob.stripReplyText(
+      'OK\n\nOn Sat, Mar 1, 2025 at 10:00 AM Eltern-Emailer\n<x@example.com> wrote:\n> Hi'), 'OK');
+  assert.strictEqual(ob.stripReplyText(
+      'OK\n\nVon: Eltern-Emailer <x@example.com>\nGesendet: Samstag\nAn: Max'), 'OK');
+});
+
+test('stripReplyText keeps the text if nothing else would remain', () => {
+  assert.strictEqual(ob.stripReplyText('> nur ein Zitat\n'), '> nur ein Zitat');
+});
+
+test('readOutbound reports and drops messages without an active job', () => {
+  const file = readJournal([
+    { type: 'teacher', forwardingTag: 'removed', teacherId: 1, text: 'Hallo', state: 'received',
+      partsPosted: 0 },
+    { type: 'teacher', forwardingTag: 'theo', teacherId: 2, text: 'b', state: 'received',
+      partsPosted: 0 }
+  ]);
+  assert.deepStrictEqual(readFile(file).map(m => m.teacherId), [2]);
+  assert.strictEqual(INBOUND.length, 1);
+  assert.strictEqual(INBOUND[0].email.to, 'admin@example.com');
+  assert.match(INBOUND[0].email.text, /kein aktiver Job.*\n\nText:\nHallo/s);
+});
+
+test('processNewEmail classifies admin commands in the same pass as other emails', async () => {
+  const email = (from, to, subject) =>
+      Buffer.from(`From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\n\r\nText\r\n`);
+  const messages = [
+    { uid: 1, seq: 1, source: email('admin@example.com', 'fwd+admin@example.com', 'status') },
+    { uid: 2, seq: 2, source: email('evil@example.com', 'fwd+admin@example.com', 'mute') },
+    { uid: 3, seq: 3, source: email('noreply@portal.example', 'fwd@example.com', 'Neu') }
+  ];
+  const flagged = [];
+  global.IMAP_CLIENT = {
+    fetch: async function* () { yield* messages; },
+    messageFlagsAdd: async uids => { flagged.push(uids); }
+  };
+  const incomingEmail = CONFIG.options.incomingEmail;
+  CONFIG.options.incomingEmail = {
+    forwardingAddress: 'fwd@example.com',
+    regEx: '(?:^|<)fwd(?:\\+(?:([A-Za-z0-9_]+)-)?(\\d+|krank|klassenleitung))@example\\.com(?:$|>)',
+    allowForwardingFrom: ['parent@example.com']
+  };
+  try {
+    const { notifications, adminCommands } = await ob.processNewEmail();
+    assert.deepStrictEqual(adminCommands.map(m => m.subject), ['status']);
+    assert.deepStrictEqual(notifications, [{ from: 'noreply@portal.example', subject: 'Neu' }]);
+    assert.deepStrictEqual(flagged, ['1,2,3']); // all marked done
+  } finally {
+    CONFIG.options.incomingEmail = incomingEmail;
+    global.IMAP_CLIENT = null;
+  }
+});
+
+test('processNewEmail assigns replies to the job and thread from the In-Reply-To', async () => {
+  readJournal([]);
+  const account = ob.elternPortalAccount(CONFIG.jobs.theo);
+  const reply = (uid, inReplyTo) => ({ uid: uid, seq: uid, source: Buffer.from(
+      'From: parent@example.com\r\nTo: fwd@example.com\r\nSubject: Re: Frage\r\n'
+      + `Message-ID: <${uid}@example.com>\r\nIn-Reply-To: <${inReplyTo}>\r\n\r\nDanke\r\n`) });
+  const messages = [
+    reply(1, `thread-${account}-42-7-0.eltern-emailer@example.com`),
+    reply(2, 'thread-0123abcd-42-8-0.eltern-emailer@example.com'), // unknown account
+    reply(3, 'thread-42-9-0.eltern-emailer@example.com') // older version, i.e. no account
+  ];
+  global.IMAP_CLIENT = {
+    fetch: async function* () { yield* messages; },
+    messageFlagsAdd: async () => {}
+  };
+  const incomingEmail = CONFIG.options.incomingEmail;
+  CONFIG.options.incomingEmail = {
+    forwardingAddress: 'fwd@example.com',
+    regEx: '(?:^|<)fwd\\+(?:([A-Za-z0-9_]+)-)?(\\d+|krank|klassenleitung)@example\\.com(?:$|>)',
+    allowForwardingFrom: ['parent@example.com']
+  };
+  try {
+    await ob.processNewEmail();
+    // The older reply goes to the job without forwardingTag, of which there is none.
+    assert.deepStrictEqual(ob.takeOutbound(CONFIG.jobs.theo, 'teacher').map(
+        m => [m.teacherId, m.replyThreadId]), [['42', '7']]);
+  } finally {
+    CONFIG.options.incomingEmail = incomingEmail;
+    global.IMAP_CLIENT = null;
+  }
+});
+
+test('forwarding addresses use aliases, subaddress tags or subject tags', () => {
+  const incomingEmail = CONFIG.options.incomingEmail;
+  const theo = CONFIG.jobs.theo;
+  try {
+    CONFIG.options.incomingEmail = {
+      forwardingAddress: 'fwd@example.com', aliases: { 'lehrer42@example.com': 'theo-42' }
+    };
+    assert.strictEqual(ob.buildForwardingAddress(theo, '42'), 'lehrer42@example.com');
+    assert.strictEqual(ob.buildForwardingAddress(theo, '43'), 'fwd+theo-43@example.com');
+    assert.strictEqual(ob.buildSubjectTag(theo, '43'), '');
+    CONFIG.options.incomingEmail.useSubjectTags = true;
+    assert.strictEqual(ob.buildForwardingAddress(theo, '43'), 'fwd@example.com');
+    assert.strictEqual(ob.buildSubjectTag(theo, '43'), '[theo-L43] ');
+    assert.strictEqual(ob.buildSubjectTag(theo, 'krank'), '[theo-krank] ');
+    assert.strictEqual(ob.buildSubjectTag(theo, '42'), ''); // The alias needs no tag.
+  } finally {
+    CONFIG.options.incomingEmail = incomingEmail;
+  }
+});
+
+test('processNewEmail finds the teacher via alias or subject tag', async () => {
+  readJournal([]);
+  const email = (uid, to, subject) => ({ uid: uid, seq: uid, source: Buffer.from(
+      `From: parent@example.com\r\nTo: ${to}\r\nSubject: ${subject}\r\n\r\nHallo\r\n`) });
+  const messages = [
+    email(1, 'lehrer42@example.com', 'Frage'),
+    email(2, 'fwd@example.com', '[theo-L43] Termin'),
+    email(3, 'fwd@example.com', 'Ohne Tag'), // not for a teacher
+    email(4, 'other@example.com', '[theo-L44] Fremde Adresse') // not for a teacher either
+  ];
+  global.IMAP_CLIENT = {
+    fetch: async function* () { yield* messages; },
+    messageFlagsAdd: async () => {}
+  };
+  const incomingEmail = CONFIG.options.incomingEmail;
+  CONFIG.options.incomingEmail = {
+    forwardingAddress: 'fwd@example.com',
+    regEx: '(?:^|<)fwd\\+(?:([A-Za-z0-9_]+)-)?(\\d+|krank|klassenleitung)@example\\.com(?:$|>)',
+    aliases: { 'lehrer42@example.com': 'theo-42' },
+    allowForwardingFrom: ['parent@example.com']
+  };
+  try {
+    await ob.processNewEmail();
+    assert.deepStrictEqual(ob.takeOutbound(CONFIG.jobs.theo, 'teacher').map(
+        m => [m.teacherId, m.subject]), [['42', 'Frage'], ['43', 'Termin']]);
+  } finally {
+    CONFIG.options.incomingEmail = incomingEmail;
+    global.IMAP_CLIENT = null;
+  }
+});
+
+test('processNewEmail assigns replies to Schulmanager Message-IDs to their job', async () => {
+  readJournal([]);
+  const config = { system: 'schulmanager', active: true, tag: 'SM', user: 'Parent@example.com' };
+  const account = ob.schulmanagerAccount(config);
+  const letter = { text: 'Bitte bestätigen.' };
+  const reminder = { text: 'Bitte bestätigen.' };
+  const incomingEmail = CONFIG.options.incomingEmail;
+  CONFIG.options.incomingEmail = {
+    forwardingAddress: 'fwd@example.com',
+    regEx: '(?:^|<)fwd\\+(?:([A-Za-z0-9_]+)-)?(\\d+|krank|klassenleitung)@example\\.com(?:$|>)',
+    allowForwardingFrom: ['parent@example.com']
+  };
+  CONFIG.jobs.sm = config;
+  try {
+    const sm = new Schulmanager(config, {}, null, null);
+    const response = { type: 'confirm', options: [], deadline: 0, studentIds: [] };
+    sm.addResponseInstructions(letter, 'a1B2', response);
+    sm.addResponseInstructions(reminder, 'c3D4', response, '-reminder');
+    const reply = (uid, inReplyTo) => ({ uid: uid, seq: uid, source: Buffer.from(
+        'From: parent@example.com\r\nTo: fwd@example.com\r\nSubject: Re: Brief\r\n'
+        + `Message-ID: <${uid}@example.com>\r\nIn-Reply-To: <${inReplyTo}>\r\n\r\nOK\r\n`) });
+    const messages = [
+      reply(1, messengerMessageId(account, '123', '456')),
+      reply(2, letter.messageId),
+      reply(3, reminder.messageId),
+      reply(4, messengerMessageId('0123abcd', '123', '456')) // unknown account
+    ];
+    global.IMAP_CLIENT = {
+      fetch: async function* () { yield* messages; },
+      messageFlagsAdd: async () => {}
+    };
+    INBOUND = [];
+    await ob.processNewEmail();
+    assert.deepStrictEqual(
+        ob.takeOutbound(config, 'messenger').map(m => [m.conversationId, m.text]), [['123', 'OK']]);
+    assert.deepStrictEqual(
+        ob.takeOutbound(config, 'letter').map(m => m.letterId), ['a1B2', 'c3D4']);
+    // The admin is told about the reply that can't be assigned.
+    assert.deepStrictEqual(
+        INBOUND.map(i => i.email.subject), ['Antwort an Schulmanager ignoriert']);
+  } finally {
+    CONFIG.options.incomingEmail = incomingEmail;
+    delete CONFIG.jobs.sm;
+    global.IMAP_CLIENT = null;
+  }
+});
@@ -0,0 +1,221 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const {
+  Schulmanager,
+  calendarRangeEnd,
+  describeLessonChange,
+  isValidLesson,
+  isValidLetterResponse,
+  parseLetterResponse,
+  parseResponseReply
+} = require('../schulmanager.js');
+
+global.CONFIG = { options: { adminAddress: 'admin@example.com' } };
+
+const MAX = { id: '11', name: 'Max' };
+const MIA = { id: '12', name: 'Mia' };
+const TOM = { id: '13', name: 'Tom' };
+
+function createSchulmanager() {
+  return new Schulmanager({
+    tag: 'SM',
+    recipients: { '*': ['all@example.com'], elternbriefe: ['letters@example.com'] },
+    students: {
+      max: { tag: 'SM Max', recipients: { '*': ['max@example.com'] } },
+      12: { recipients: { elternbriefe: ['mia@example.com'] } }
+    }
+  }, {}, null, null);
+}
+
+test('jobs get their own copy of the initial state', () => {
+  const [a, b] = [{}, {}];
+  new Schulmanager({}, a, null, null);
+  new Schulmanager({}, b, null, null);
+  a.events.push({ uid: 'x' });
+  assert.deepStrictEqual(b.events, []);
+  assert.notStrictEqual(a.letters, b.letters);
+});
+
+test('addressing uses the job config without students', () => {
+  assert.deepStrictEqual(createSchulmanager().addressing('elternbriefe', []),
+      { tag: 'SM', recipients: ['all@example.com', 'letters@example.com'] });
+  assert.deepStrictEqual(createSchulmanager().addressing('termine', [TOM]),
+      { tag: 'SM', recipients: ['all@example.com'] });
+});
+
+test('addressing replaces recipients per category with the student overrides', () => {
+  const sm = createSchulmanager();
+  // By first name (case insensitive): Only "*" is replaced.
+  assert.deepStrictEqual(sm.addressing('elternbriefe', [MAX]),
+      { tag: 'SM Max', recipients: ['max@example.com', 'letters@example.com'] });
+  // By ID: Only "elternbriefe" is replaced.
+  assert.deepStrictEqual(sm.addressing('elternbriefe', [MIA]),
+      { tag: 'SM', recipients: ['all@example.com', 'mia@example.com'] });
+  assert.deepStrictEqual(sm.addressing('termine', [MIA]),
+      { tag: 'SM', recipients: ['all@example.com'] });
+});
+
+test('addressing merges the recipients of several students', () => {
+  assert.deepStrictEqual(createSchulmanager().addressing('elternbriefe', [MAX, MIA, TOM]), {
+    tag: 'SM',
+    recipients: ['max@example.com', 'letters@example.com', 'all@example.com', 'mia@example.com']
+  });
+});
+
+/** Returns a letter as returned by the API, with the specified properties. */
+function letter(properties) {
+  return {
+    confirmationRequired: false,
+    responseForm: null,
+    deadline: null,
+    studentStatuses: [{ studentId: 11, confirmationTimestamp: null }],
+    ...properties
+  };
+}
+
+test('parseLetterResponse returns null if no response is required', () => {
+  assert.strictEqual(parseLetterResponse(letter({}), '11'), null);
+});
+
+test('parseLetterResponse distinguishes confirmations, choices and text', () => {
+  assert.deepStrictEqual(parseLetterResponse(letter({ confirmationRequired: true }), '11'),
+      { type: 'confirm', options: [], deadline: 0, studentIds: ['11'] });
+  const choice = letter({
+    responseForm: { options: [{ label: ' Ja ' }, { label: 'Nein' }] },
+    deadline: '2025-03-10T12:00:00.000Z'
+  });
+  assert.deepStrictEqual(parseLetterResponse(choice, '11'), {
+    type: 'choice',
+    options: ['Ja', 'Nein'],
+    deadline: Date.UTC(2025, 2, 10, 12),
+    studentIds: ['11']
+  });
+  assert.strictEqual(
+      parseLetterResponse(letter({ responseForm: { options: [] } }), '11').type, 'text');
+});
+
+test('parseLetterResponse only lists the student if the response is pending', () => {
+  const statuses = [
+    { studentId: 11, confirmationTimestamp: '2025-03-01T08:00:00.000Z' },
+    { studentId: 12, confirmationTimestamp: null }
+  ];
+  const l = letter({ confirmationRequired: true, studentStatuses: statuses });
+  assert.deepStrictEqual(parseLetterResponse(l, '11').studentIds, []);
+  assert.deepStrictEqual(parseLetterResponse(l, '12').studentIds, ['12']);
+  assert.deepStrictEqual(parseLetterResponse(l, '13').studentIds, []);
+  // Without students the account's own (first) status counts.
+  assert.deepStrictEqual(parseLetterResponse(l, null).studentIds, []);
+  assert.deepStrictEqual(parseLetterResponse(letter({ confirmationRequired: true }), null)
+      .studentIds, ['']);
+});
+
+test('isValidLetterResponse rejects unexpected formats', () => {
+  assert.ok(isValidLetterResponse(letter({})));
+  assert.ok(isValidLetterResponse(letter({ responseForm: { options: [{ label: 'Ja' }] } })));
+  assert.ok(!isValidLetterResponse(letter({ confirmationRequired: 1 })));
+  assert.ok(!isValidLetterResponse(letter({ studentStatuses: undefined })));
+  assert.ok(!isValidLetterResponse(letter({ responseForm: { options: [{ text: 'Ja' }] } })));
+  assert.ok(!isValidLetterResponse(letter({ responseForm: { choices: [] } })));
+});
+
+test('parseResponseReply accepts confirmations, option numbers and labels, and text', () => {
+  const confirm = { type: 'confirm', options: [], deadline: 0 };
+  assert.strictEqual(parseResponseReply(confirm, 'OK\n\nGruß'), 'OK');
+  assert.strictEqual(parseResponseReply(confirm, 'Gelesen'), 'OK');
+  assert.strictEqual(parseResponseReply(confirm, 'bestätigt, danke'), 'OK');
+  assert.throws(() => parseResponseReply(confirm, 'Nein'), /Ungültige Antwort "Nein"/);
+  // Words that merely start like a confirmation are not accepted.
+  for (const reply of ['Oktober passt nicht', 'Januar', 'Okay, aber nein', 'Gelesener Text']) {
+    assert.throws(() => parseResponseReply(confirm, reply), /Ungültige Antwort/, reply);
+  }
+
+  const choice = { type: 'choice', options: ['Ja', 'Nein'], deadline: 0 };
+  assert.strictEqual(parseResponseReply(choice, '2'), 'Nein');
+  assert.strictEqual(parseResponseReply(choice, ' ja \nDanke'), 'Ja');
+  assert.throws(() => parseResponseReply(choice, '3'), /1 = Ja\n2 = Nein/);
+
+  const text = { type: 'text', options: [], deadline: 0 };
+  assert.strictEqual(parseResponseReply(text, ' Max kommt mit.\nGruß '), 'Max kommt mit.\nGruß');
+  assert.throws(() => parseResponseReply(text, ' '), /Ungültige Antwort/);
+});
+
+test('calendarRangeEnd finds the latest date among the call parameters', () => {
+  assert.deepStrictEqual(
+      calendarRangeEnd({ start: '2024-03-01T00:00:00', end: '2024-04-01T00:00:00', id: 7 }),
+      { key: 'end', value: '2024-04-01T00:00:00' });
+  assert.deepStrictEqual(calendarRangeEnd({ from: '2024-03-01', until: '2024-02-01' }),
+      { key: 'from', value: '2024-03-01' });
+  assert.strictEqual(calendarRangeEnd({ student: { id: 7 }, label: 'März' }), null);
+  assert.strictEqual(calendarRangeEnd(undefined), null);
+});
+
+test('toEvents converts calendar entries and exams to the format used in ical.js', () => {
+  const sm = new Schulmanager({ tag: 'SM', user: 'parent@example.com' }, {}, null, null);
+  const events = sm.toEvents('calendar', {
+    nonRecurringEvents: [
+      { id: 1, summary: ' Elternabend ', start: '2024-03-12T19:00:00', end: '2024-03-12T21:00:00' },
+      { id: 2, summary: 'Ferien', start: '2024-03-25', end: '2024-04-05' }
+    ],
+    recurringEvents: [{ id: 3, summary: 'AG', start: '2024-03-13T14:00:00', allDay: true }]
+  });
+  assert.deepStrictEqual(events.map(e => [e.summary, e.start, e.end]), [
+    ['Elternabend', '20240312T190000', '20240312T210000'],
+    ['Ferien', '20240325', '20240405'],
+    ['AG', '20240313', '20240313']
+  ]);
+  assert.strictEqual(events[0].ts, new Date(2024, 2, 12, 19).getTime());
+  assert.match(events[0].uid, /^sm-event-[0-9a-f]{32}\.eltern-emailer@example\.com$/);
+  assert.strictEqual(new Set(events.map(e => e.uid)).size, 3);
+  // The UID is stable, but differs for another occurrence of a recurring event.
+  const occurrence = start => sm.toEvents('calendar', {
+    nonRecurringEvents: [], recurringEvents: [{ id: 3, summary: 'AG', start: start }]
+  })[0].uid;
+  assert.strictEqual(occurrence('2024-03-13T14:00:00'), occurrence('2024-03-13T14:00:00'));
+  assert.notStrictEqual(occurrence('2024-03-13T14:00:00'), occurrence('2024-03-20T14:00:00'));
+
+  const [exam] = sm.toEvents('exams', [
+    { id: 4, date: '2024-03-14', subject: { name: 'Mathematik' }, type: { name: 'Schulaufgabe' } }
+  ], MAX);
+  assert.deepStrictEqual([exam.summary, exam.start, exam.studentId],
+      ['Schulaufgabe Mathematik', '20240314', '11']);
+});
+
+test('toEvents rejects unexpected data', () => {
+  const sm = new Schulmanager({ tag: 'SM', user: 'parent@example.com' }, {}, null, null);
+  assert.throws(() => sm.toEvents('calendar', [{ id: 1, summary: 'Elternabend' }]),
+      /Unexpected data from Schulmanager API calendar/);
+  assert.throws(() => sm.toEvents('calendar',
+      { nonRecurringEvents: [{ id: 1, title: 'Elternabend' }], recurringEvents: [] }));
+  assert.throws(() => sm.toEvents('exams', [{ id: 4, date: '2024-03-14', subject: 'M' }]));
+});
+
+/** Returns a lesson in the format returned by the API. */
+function lesson(subject, teacher, room) {
+  return { subjectLabel: subject, teachers: [{ abbreviation: teacher }], room: { name: room } };
+}
+
+test('describeLessonChange describes cancellations, substitutions and comments', () => {
+  const english = lesson('Englisch', 'Hu', '104');
+  const entry = properties => ({ date: '2024-03-14', classHour: { number: 2 }, ...properties });
+  assert.strictEqual(describeLessonChange(entry({ actualLesson: english })), null);
+  assert.strictEqual(describeLessonChange(entry({ originalLessons: [english] })),
+      'Englisch entfällt');
+  assert.strictEqual(describeLessonChange(
+      entry({ actualLesson: lesson('Englisch', 'Mü', '201'), originalLessons: [english] })),
+      'Englisch (Vertretung Mü, Raum 201)');
+  assert.strictEqual(describeLessonChange(
+      entry({ actualLesson: lesson('Mathematik', 'Hu', '104'), originalLessons: [english] })),
+      'Mathematik statt Englisch');
+  assert.strictEqual(
+      describeLessonChange(entry({ actualLesson: english, comment: 'Buch mitbringen' })),
+      'Englisch: Buch mitbringen');
+});
+
+test('isValidLesson rejects unexpected formats', () => {
+  assert.ok(isValidLesson(lesson('Englisch', 'Hu', '104')));
+  assert.ok(isValidLesson({ subjectLabel: 'Englisch', teachers: [] }));
+  assert.ok(!isValidLesson(null));
+  assert.ok(!isValidLesson({ subject: { name: 'Englisch' }, teachers: [] }));
+  assert.ok(!isValidLesson({ subjectLabel: 'Englisch', teacher: 'Hu' }));
+});
@@ -0,0 +1,23 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { fillState } = require('../state.js');
+
+const EMPTY_STATE = { items: {}, list: [], nested: { hashes: {} }, ts: 0 };
+
+test('fillState adds missing keys recursively and keeps existing values', () => {
+  const state = { items: { a: 1 }, nested: {} };
+  fillState(state, EMPTY_STATE);
+  assert.deepStrictEqual(state, { items: { a: 1 }, list: [], nested: { hashes: {} }, ts: 0 });
+});
+
+test('fillState copies the empty state, so states are independent', () => {
+  const [a, b] = [{}, {}];
+  fillState(a, EMPTY_STATE);
+  fillState(b, EMPTY_STATE);
+  a.items.x = 1;
+  a.list.push(1);
+  a.nested.hashes.y = 1;
+  assert.deepStrictEqual(b, { items: {}, list: [], nested: { hashes: {} }, ts: 0 });
+  assert.deepStrictEqual(EMPTY_STATE, { items: {}, list: [], nested: { hashes: {} }, ts: 0 });
+});
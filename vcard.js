@@ -0,0 +1,38 @@
+const ical = require('./ical.js');
+
+// Generation of vCard 3.0 data (RFC 2426), e.g. for an address book of teachers.
+//
+// Contacts passed to the functions below have these fields:
+// - uid: Globally unique and stable ID, e.g. from em.buildMessageId()
+// - lastName, firstName: Name parts (firstName may be empty)
+// - email: Email address
+// - org: Optional organization, e.g. the school
+// - note: Optional free text, e.g. subjects taught
+
+function buildVCard(contact) {
+  const e = ical.escapeText;
+  const fullName = [contact.firstName, contact.lastName].filter(n => n).join(' ');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `UID:${contact.uid}`,
+    `N:${e(contact.lastName)};${e(contact.firstName || '')};;;`,
+    `FN:${e(fullName)}`,
+    `EMAIL;TYPE=INTERNET:${contact.email}`
+  ];
+  if (contact.org) {
+    lines.push(`ORG:${e(contact.org)}`);
+  }
+  if (contact.note) {
+    lines.push(`NOTE:${e(contact.note)}`);
+  }
+  lines.push('END:VCARD');
+  return lines;
+}
+
+/** Builds an address book, i.e. a sequence of vCards, as a string. */
+function buildAddressBook(contacts) {
+  return contacts.flatMap(buildVCard).map(ical.fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildAddressBook };
@@ -0,0 +1,202 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { dkimVerify } = require('mailauth/lib/dkim/verify');
+const { simpleParser } = require('mailparser');
+const openpgp = require('openpgp');
+const os = require('os');
+const path = require('path');
+
+// ---------- Shared state ----------
+
+// global.LOG (see logging.js)
+// global.CONFIG (see main.js)
+
+// Verification of the sender of incoming emails, beyond the check of the From: header. The mode is
+// set in CONFIG.options.incomingEmail.verifySender:
+// - "dkim": The email must have a valid DKIM signature by the domain of the From: address (or a
+//   parent domain, i.e. relaxed alignment as in DMARC).
+// - "signature": The email must be signed (PGP/MIME or S/MIME, see RFC 1847) with the key
+//   configured for the sender in CONFIG.options.incomingEmail.senderKeys.
+//   The signature doesn't cover the outer headers, so a signed email could be resent with a
+//   different To: or Subject:, i.e. to a different recipient. Some clients repeat these headers in
+//   the signed part ("protected headers"). If present, they must match the outer headers. They are
+//   mandatory if CONFIG.options.incomingEmail.requireProtectedHeaders is set.
+// Verification failures are thrown as a reason in German, since it is emailed to the admin.
+
+/** Parses the top level Content-Type of a raw email. Returns { type, params }. */
+function parseContentType(raw) {
+  const headerEnd = raw.search(/\r?\n\r?\n/);
+  const headers = raw.substring(0, headerEnd < 0 ? raw.length : headerEnd)
+      .replace(/\r?\n[ \t]+/g, ' '); // Unfold continuation lines.
+  const value = (headers.match(/^content-type:(.*)$/im) || [, 'text/plain'])[1];
+  const [type, ...paramList] = value.split(';');
+  const params = {};
+  for (const param of paramList) {
+    const m = param.trim().match(/^([^=]+)=\s*"?([^"]*)"?$/);
+    if (m) {
+      params[m[1].trim().toLowerCase()] = m[2];
+    }
+  }
+  return { type: type.trim().toLowerCase(), params: params };
+}
+
+/**
+ * Splits the body of a raw multipart/signed email into the signed part, exactly as transmitted
+ * (headers included), and the body of the signature part.
+ */
+function splitSigned(raw, boundary) {
+  // The line break preceding a delimiter belongs to the delimiter (RFC 2046 section 5.1.1).
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = raw.split(new RegExp(`\\r?\\n--${escaped}(?:--)?[ \\t]*(?=\\r?\\n|$)`));
+  // parts: headers and preamble, signed part, signature part, epilogue
+  if (parts.length < 4) {
+    throw 'Signierte Email hat ungültiges Format.';
+  }
+  const stripLeadingLineBreak = s => s.replace(/^\r?\n/, '');
+  const signed = stripLeadingLineBreak(parts[1]);
+  const signaturePart = stripLeadingLineBreak(parts[2]);
+  const bodyStart = signaturePart.search(/\r?\n\r?\n/);
+  return {
+    signed: signed,
+    signature: bodyStart < 0 ? '' : signaturePart.substring(bodyStart).trim()
+  };
+}
+
+/** Returns the senderKeys entry for the specified address, or throws. */
+function getSenderKeys(address) {
+  const senderKeys = CONFIG.options.incomingEmail.senderKeys || {};
+  const key = Object.keys(senderKeys).find(k => k.toLowerCase() === address);
+  if (!key) {
+    throw `Kein Schlüssel für ${address} konfiguriert.`;
+  }
+  return senderKeys[key];
+}
+
+async function verifyPgp(raw, boundary, keyFile) {
+  const { signed, signature } = splitSigned(raw, boundary);
+  const verificationKeys = await openpgp.readKey({ armoredKey: fs.readFileSync(keyFile, 'utf-8') });
+  const { signatures } = await openpgp.verify({
+    message: await openpgp.createMessage({ binary: Buffer.from(signed, 'binary') }),
+    signature: await openpgp.readSignature({ armoredSignature: signature }),
+    verificationKeys: verificationKeys
+  });
+  try {
+    await signatures[0].verified; // throws if invalid
+  } catch (e) {
+    throw `PGP-Signatur ungültig: ${e.message || e}`;
+  }
+}
+
+// Runs a command with the specified input on stdin.
+function execFileWithInput(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, { encoding: 'buffer' }, (error, stdout, stderr) => {
+      if (error) {
+        reject(stderr.toString().trim() || error.message);
+      } else {
+        resolve(stdout);
+      }
+    });
+    child.stdin.end(input);
+  });
+}
+
+// S/MIME is verified using OpenSSL, which must be installed. We don't verify the certificate chain.
+// Instead we require the signer's certificate to be the one configured for the sender.
+async function verifySmime(source, certFile) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eltern-emailer-'));
+  try {
+    const signerFile = path.join(dir, 'signer.pem');
+    try {
+      await execFileWithInput('openssl', [
+        'smime', '-verify', '-noverify', '-signer', signerFile, '-out', path.join(dir, 'content')
+      ], source);
+    } catch (e) {
+      throw `S/MIME-Signatur ungültig: ${e}`;
+    }
+    const signer = new crypto.X509Certificate(fs.readFileSync(signerFile));
+    const expected = new crypto.X509Certificate(fs.readFileSync(certFile));
+    if (signer.fingerprint256 !== expected.fingerprint256) {
+      throw `S/MIME-Signatur mit unbekanntem Zertifikat: ${signer.subject.replace(/\n/g, ', ')}`;
+    }
+  } finally {
+    fs.removeSync(dir);
+  }
+}
+
+/** Returns the addresses of the parsed To: header as a sorted, lowercase, comma separated list. */
+function addressList(to) {
+  return [].concat(to || []).flatMap(t => t.value).map(v => (v.address || '').toLowerCase())
+      .sort().join(', ');
+}
+
+/** Checks the protected headers in the signed part of a multipart/signed email, see above. */
+async function verifyProtectedHeaders(source, signed) {
+  const inner = await simpleParser(Buffer.from(signed, 'binary'));
+  if (!inner.headers.has('to') || !inner.headers.has('subject')) {
+    if (CONFIG.options.incomingEmail.requireProtectedHeaders) {
+      throw 'Signierter Teil enthält nicht die Header To: und Subject: (Protected Headers).';
+    }
+    return;
+  }
+  const outer = await simpleParser(source);
+  if (addressList(inner.to) !== addressList(outer.to)) {
+    throw `Signierter Empfänger (${addressList(inner.to)}) weicht ab von To: `
+        + `(${addressList(outer.to)}).`;
+  }
+  if ((inner.subject || '').trim() !== (outer.subject || '').trim()) {
+    throw `Signierter Betreff "${inner.subject}" weicht ab von Subject: "${outer.subject}".`;
+  }
+}
+
+async function verifyDkim(source, address) {
+  const fromDomain = address.replace(/.*@/, '');
+  const { results } = await dkimVerify(source);
+  const aligned = (results || []).find(r => r.status && r.status.result === 'pass'
+      && (fromDomain === r.signingDomain || fromDomain.endsWith(`.${r.signingDomain}`)));
+  if (!aligned) {
+    const found = (results || [])
+        .map(r => `${r.signingDomain || '?'}: ${r.status ? r.status.result : '?'}`).join(', ');
+    throw `Keine gültige DKIM-Signatur von ${fromDomain} (gefunden: ${found || 'keine'}).`;
+  }
+}
+
+/**
+ * Verifies that the email (raw source) was sent by the specified From: address (lowercase). Does
+ * nothing if no verification mode is configured. Throws a reason if verification fails.
+ */
+async function verifySender(source, address) {
+  const mode = CONFIG.options.incomingEmail.verifySender;
+  switch (mode || '') {
+    case '':
+      return;
+    case 'dkim':
+      await verifyDkim(source, address);
+      break;
+    case 'signature': {
+      const keys = getSenderKeys(address);
+      // Binary encoding maps bytes to characters 1:1, so we can split without altering content.
+      const raw = source.toString('binary');
+      const contentType = parseContentType(raw);
+      const protocol = (contentType.params.protocol || '').toLowerCase();
+      if (contentType.type !== 'multipart/signed' || !contentType.params.boundary) {
+        throw 'Email ist nicht signiert.';
+      } else if (protocol === 'application/pgp-signature' && keys.pgp) {
+        await verifyPgp(raw, contentType.params.boundary, keys.pgp);
+      } else if (protocol.match(/^application\/(x-)?pkcs7-signature$/) && keys.smime) {
+        await verifySmime(source, keys.smime);
+      } else {
+        throw `Signaturformat "${protocol}" nicht unterstützt oder kein passender Schlüssel `
+            + `für ${address} konfiguriert.`;
+      }
+      await verifyProtectedHeaders(source, splitSigned(raw, contentType.params.boundary).signed);
+      break;
+    }
+    default:
+      throw `Unbekannter Modus verifySender: "${mode}"`;
+  }
+  LOG.debug(`Verified sender ${address} (${mode})`);
+}
+
+module.exports = { verifySender };